@@ -134,30 +134,55 @@ chrome.runtime.onMessage.addListener((request, sender, sendResponse) => {
       });
     });
   } else if (request.action === "openResults") {
-    // Persist the latest extraction and open the results viewer
-    chrome.storage.local.get(['savedExtractions'], (result) => {
+    // Persist the latest extraction and open the results viewer.
+    // Conversations with a known conversationId are merged into one canonical
+    // entry stored under that id ({ name, conversationId, messages }), so renames
+    // and chats sharing a name keep separate histories. Anything else is stored
+    // as a timestamped copy like before. displayData uses the same storage keys;
+    // the viewer turns them into list names.
+    chrome.storage.local.get(['savedExtractions', 'teamsChatSyncState'], (result) => {
       const savedExtractions = { ...(result.savedExtractions || {}) };
+      const syncState = { ...(result.teamsChatSyncState || {}) };
+      const conversationIds = request.conversationIds || {};
       const timestamp = new Date().toLocaleString();
+      const displayData = {};
 
       if (request.data) {
         Object.keys(request.data).forEach((conversationName) => {
-          const newName = `[${timestamp}] ${conversationName}`;
-          savedExtractions[newName] = request.data[conversationName];
+          const conversationId = conversationIds[conversationName];
+          if (!conversationId) {
+            const newName = `[${timestamp}] ${conversationName}`;
+            savedExtractions[newName] = request.data[conversationName];
+            displayData[newName] = request.data[conversationName];
+            return;
+          }
+
+          const existing = savedExtractions[conversationId]?.messages || [];
+          const merged = mergeConversationMessages(existing, request.data[conversationName]);
+          savedExtractions[conversationId] = { name: conversationName, conversationId, messages: merged };
+          displayData[conversationId] = savedExtractions[conversationId];
+
+          const newest = merged.reduce((max, msg) => (msg.isoTimestamp && msg.isoTimestamp > max ? msg.isoTimestamp : max), '');
+          syncState[conversationId] = {
+            newestIsoTimestamp: newest || syncState[conversationId]?.newestIsoTimestamp || null,
+            syncedAt: new Date().toISOString()
+          };
         });
       }
 
       chrome.storage.local.set({
-        teamsChatData: request.data || {},
-        savedExtractions
+        teamsChatData: displayData,
+        savedExtractions,
+        teamsChatSyncState: syncState
       }, () => {
         chrome.tabs.create({ url: chrome.runtime.getURL("results.html") }, (tab) => {
-          if (tab && request.data && Object.keys(request.data).length > 0) {
+          if (tab && Object.keys(displayData).length > 0) {
             const handleUpdated = (tabId, changeInfo) => {
               if (tabId === tab.id && changeInfo.status === 'complete') {
                 chrome.tabs.onUpdated.removeListener(handleUpdated);
                 chrome.tabs.sendMessage(tab.id, {
                   action: 'displayData',
-                  data: request.data
+                  data: displayData
                 }, () => {
                   if (chrome.runtime.lastError) {
                     console.warn('Results page message error:', chrome.runtime.lastError.message);
@@ -175,5 +200,61 @@ chrome.runtime.onMessage.addListener((request, sender, sendResponse) => {
       });
     });
     return true;
+  } else if (request.action === "openTranscripts") {
+    // Transcripts are kept apart from chat conversations (savedTranscripts), one
+    // timestamped entry per send, and shown in the viewer's Transcripts list
+    chrome.storage.local.get(['savedTranscripts'], (result) => {
+      const savedTranscripts = { ...(result.savedTranscripts || {}) };
+      const timestamp = new Date().toLocaleString();
+      const displayTranscripts = {};
+
+      (request.transcripts || []).forEach((transcript) => {
+        if (!transcript || !Array.isArray(transcript.entries) || transcript.entries.length === 0) return;
+        const name = `[${timestamp}] ${transcript.title || 'Transcript'}`;
+        const stored = { ...transcript, capturedAt: new Date().toISOString() };
+        savedTranscripts[name] = stored;
+        displayTranscripts[name] = stored;
+      });
+
+      chrome.storage.local.set({ savedTranscripts }, () => {
+        chrome.tabs.create({ url: chrome.runtime.getURL("results.html") }, (tab) => {
+          if (tab && Object.keys(displayTranscripts).length > 0) {
+            const handleUpdated = (tabId, changeInfo) => {
+              if (tabId === tab.id && changeInfo.status === 'complete') {
+                chrome.tabs.onUpdated.removeListener(handleUpdated);
+                chrome.tabs.sendMessage(tab.id, {
+                  action: 'displayTranscripts',
+                  data: displayTranscripts
+                }, () => {
+                  if (chrome.runtime.lastError) {
+                    console.warn('Results page message error:', chrome.runtime.lastError.message);
+                  }
+                });
+              }
+            };
+            chrome.tabs.onUpdated.addListener(handleUpdated);
+          }
+          sendResponse({ success: true, count: Object.keys(displayTranscripts).length });
+        });
+      });
+    });
+    return true;
   }
 });
+
+// Merge a re-export into the stored copy of a conversation. Incoming messages
+// win over stored ones with the same id so edits and new reactions show up.
+function mergeConversationMessages(existing, incoming) {
+  const byKey = new Map();
+  const keyOf = (msg) => msg.id ? `id:${msg.id}` : `${msg.isoTimestamp || msg.timestamp}::${msg.author}::${msg.message}`;
+
+  (existing || []).forEach((msg) => { if (msg) byKey.set(keyOf(msg), msg); });
+  (incoming || []).forEach((msg) => { if (msg) byKey.set(keyOf(msg), msg); });
+
+  return Array.from(byKey.values()).sort((a, b) => {
+    if (a.isoTimestamp && b.isoTimestamp) {
+      return new Date(a.isoTimestamp) - new Date(b.isoTimestamp);
+    }
+    return (a.timestamp || '').localeCompare(b.timestamp || '');
+  });
+}
@@ -13,6 +13,10 @@
  *
  * Runs in page context (injected script). Communicates with content script
  * via CustomEvent pattern.
+ *
+ * Progress is checkpointed (meeting list, captured metadata, finished
+ * transcripts) through 'teamsBatchTranscriptCheckpoint' events; the content
+ * script persists them so an interrupted run can be resumed.
  */
 (() => {
 	const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
@@ -37,6 +41,10 @@
 		document.dispatchEvent(new CustomEvent('teamsBatchTranscriptProgress', { detail: data }));
 	};
 
+	const dispatchCheckpoint = (data) => {
+		document.dispatchEvent(new CustomEvent('teamsBatchTranscriptCheckpoint', { detail: data }));
+	};
+
 	// ========== DROPDOWN & NAVIGATION ==========
 
 	const getSeriesName = () => {
@@ -79,10 +87,16 @@
 			loadMoreClicks++;
 			await sleep(LOAD_MORE_WAIT);
 		}
-		const meetings = getVisibleOptions().map((o, i) => ({
-			index: i,
-			text: o.textContent.trim()
-		}));
+		// key identifies a meeting across runs: its text, numbered when several
+		// meetings of the series share one ("Tuesday 10:00 (2)"). Indexes shift
+		// when new meetings are added, so they are not used for checkpoints.
+		const textCounts = new Map();
+		const meetings = getVisibleOptions().map((o, i) => {
+			const text = o.textContent.trim();
+			const n = (textCounts.get(text) || 0) + 1;
+			textCounts.set(text, n);
+			return { index: i, text, key: n === 1 ? text : `${text} (${n})` };
+		});
 		closeDropdown();
 		await sleep(300);
 		return meetings;
@@ -278,6 +292,7 @@
 			let vtt = '';
 			let txt = '';
 			let entryCount = 0;
+			let entries = null;
 
 			if (text.startsWith('WEBVTT')) {
 				vtt = text;
@@ -286,7 +301,7 @@
 			} else if (contentType.includes('json') || text.startsWith('{') || text.startsWith('[')) {
 				try {
 					const data = JSON.parse(text);
-					const entries = Array.isArray(data) ? data : (data.entries || data.captions || []);
+					entries = Array.isArray(data) ? data : (data.entries || data.captions || []);
 					if (entries.length > 0) {
 						const utils = window.__teamsTranscriptUtils;
 						if (utils) {
@@ -319,7 +334,8 @@
 
 			if (entryCount === 0 && txt.length < 10) return null;
 
-			return { hasTranscript: true, vtt, txt, entryCount, source: 'api' };
+			// entries (when the API returned JSON) feed the SRT/DOCX builders; VTT-only results are parsed by content.js
+			return { hasTranscript: true, vtt, txt, entries, entryCount, source: 'api' };
 		} catch (err) {
 			return null;
 		}
@@ -357,6 +373,7 @@
 				hasTranscript: true,
 				vtt: utils.buildVttTranscript(entries),
 				txt: utils.buildTxtTranscript(entries),
+				entries,
 				entryCount: entries.length,
 				source: 'dom'
 			};
@@ -412,6 +429,7 @@
 			hasTranscript: true,
 			vtt: ['WEBVTT', ...vttCues].join('\n\n'),
 			txt: txtLines.join('\n'),
+			entries,
 			entryCount: entries.length,
 			source: 'dom'
 		};
@@ -445,7 +463,33 @@
 
 	// ========== MAIN ORCHESTRATOR ==========
 
-	const downloadAllTranscripts = async () => {
+	/**
+	 * Lists the series' meetings without selecting any, for the panel's filter step.
+	 */
+	const listMeetings = async () => {
+		if (batchRunning) {
+			return { error: 'Batch download already in progress' };
+		}
+		try {
+			const meetings = await getAllMeetingOptions();
+			if (meetings.length === 0) {
+				return { error: 'No meetings found in dropdown' };
+			}
+			return { success: true, seriesName: getSeriesName(), meetings };
+		} catch (err) {
+			return { error: err.message };
+		}
+	};
+
+	/**
+	 * resumeState is a saved checkpoint ({ seriesName, metadata, completed } keyed by
+	 * meeting key, see getAllMeetingOptions). Meetings with a saved transcript are not revisited, and saved
+	 * metadata spares the click-through for the rest.
+	 * selected (dropdown indexes from listMeetings) limits the run; other meetings are never
+	 * clicked. Without it, a resumed run sticks to the meetings it started with
+	 * (resumeState.meetings, by key).
+	 */
+	const downloadAllTranscripts = async (resumeState = null, selected = null) => {
 		if (batchRunning) {
 			return { error: 'Batch download already in progress' };
 		}
@@ -455,12 +499,55 @@
 
 		try {
 			const seriesName = getSeriesName();
+			if (resumeState && resumeState.seriesName !== seriesName) {
+				return { error: `Saved progress is for "${resumeState.seriesName}". Open that series to resume it.` };
+			}
+			const savedMetadata = resumeState?.metadata || {};
+			const savedResults = resumeState?.completed || {};
+
 			dispatchProgress({ phase: 'enumerating', message: 'Loading meeting list...' });
 
-			const meetings = await getAllMeetingOptions();
-			if (meetings.length === 0) {
+			const allMeetings = await getAllMeetingOptions();
+			if (allMeetings.length === 0) {
 				return { error: 'No meetings found in dropdown' };
 			}
+			// Filtered meetings keep their dropdown index for clicking
+			let meetings = allMeetings;
+			if (Array.isArray(selected)) {
+				meetings = allMeetings.filter((m) => selected.includes(m.index));
+			} else if (Array.isArray(resumeState?.meetings)) {
+				meetings = allMeetings.filter((m) => resumeState.meetings.includes(m.key));
+			}
+			if (meetings.length === 0) {
+				return { error: 'None of the selected meetings are in the dropdown' };
+			}
+			if (meetings.length < allMeetings.length) {
+				dispatchProgress({
+					phase: 'filtered',
+					total: meetings.length,
+					message: `Processing ${meetings.length} of ${allMeetings.length} meetings`
+				});
+			}
+			dispatchCheckpoint({ type: 'meetings', seriesName, meetings: meetings.map((m) => m.key) });
+
+			// Restore finished transcripts from the checkpoint (matched by meeting key, as indexes shift when new meetings are added)
+			const results = new Array(meetings.length).fill(null);
+			let resumedCount = 0;
+			meetings.forEach((meeting, i) => {
+				const saved = savedResults[meeting.key];
+				if (saved && saved.hasTranscript) {
+					results[i] = { ...saved, index: i };
+					resumedCount++;
+				}
+			});
+			if (resumeState) {
+				dispatchProgress({
+					phase: 'resumed',
+					total: meetings.length,
+					resumedCount,
+					message: `Resuming: ${resumedCount}/${meetings.length} transcripts already downloaded`
+				});
+			}
 
 			dispatchProgress({
 				phase: 'started',
@@ -477,11 +564,19 @@
 
 			const meetingMetadata = new Array(meetings.length).fill(null);
 			const knownKeys = new Set(Object.keys(getAPIMetadata()));
+			meetings.forEach((meeting, i) => {
+				const saved = savedMetadata[meeting.key];
+				if (saved) {
+					meetingMetadata[i] = saved;
+					knownKeys.add(saved.key);
+				}
+			});
 
 			for (let i = 0; i < meetings.length; i++) {
 				if (batchCancelled) break;
 
 				const meeting = meetings[i];
+				if (results[i] || meetingMetadata[i]) continue;
 				dispatchProgress({
 					phase: 'collecting',
 					total: meetings.length,
@@ -500,6 +595,7 @@
 					if (meta) {
 						meetingMetadata[i] = meta;
 						knownKeys.add(meta.key);
+						dispatchCheckpoint({ type: 'metadata', meetingKey: meeting.key, metadata: meta });
 					}
 				} catch (err) {
 					console.warn(`[Batch] Failed to click meeting ${i}:`, err.message);
@@ -511,7 +607,7 @@
 				return { cancelled: true };
 			}
 
-			const metaCollected = meetingMetadata.filter(Boolean).length;
+			const metaCollected = meetingMetadata.filter((meta, i) => meta && !results[i]).length;
 			dispatchProgress({
 				phase: 'fetching',
 				total: meetings.length,
@@ -520,13 +616,12 @@
 			});
 
 			// ===== PHASE 2: Parallel API fetches =====
-			const results = new Array(meetings.length).fill(null);
 			let apiSuccessCount = 0;
 			let fetchedSoFar = 0;
 
 			// Build tasks for meetings that have metadata
 			const apiTasks = meetings.map((meeting, i) => async () => {
-				if (batchCancelled) return;
+				if (batchCancelled || results[i]) return;
 
 				const meta = meetingMetadata[i];
 				if (!meta) return; // no metadata — will try DOM later
@@ -542,6 +637,7 @@
 						...transcript,
 						apiMetadata: meta
 					};
+					dispatchCheckpoint({ type: 'result', meetingKey: meeting.key, result: results[i] });
 					dispatchProgress({
 						phase: 'extracted',
 						total: meetings.length,
@@ -612,6 +708,7 @@
 									...transcript,
 									apiMetadata: meetingMetadata[i] || null
 								};
+								dispatchCheckpoint({ type: 'result', meetingKey: meeting.key, result: results[i] });
 								dispatchProgress({
 									phase: 'extracted',
 									total: meetings.length,
@@ -663,7 +760,12 @@
 
 			const withTranscript = results.filter((r) => r.hasTranscript);
 			const totalEntries = withTranscript.reduce((sum, r) => sum + r.entryCount, 0);
+			const resumedNote = resumedCount > 0 ? `, ${resumedCount} resumed` : '';
 
+			// A cancelled run keeps its checkpoint so it can be resumed
+			if (!batchCancelled) {
+				dispatchCheckpoint({ type: 'complete', seriesName });
+			}
 			dispatchProgress({
 				phase: 'complete',
 				total: meetings.length,
@@ -671,7 +773,8 @@
 				totalEntries,
 				apiSuccessCount,
 				domFallbackCount,
-				message: `Done! ${withTranscript.length}/${meetings.length} had transcripts (${totalEntries} entries) — ${apiSuccessCount} API, ${domFallbackCount} DOM`
+				resumedCount,
+				message: `Done! ${withTranscript.length}/${meetings.length} had transcripts (${totalEntries} entries) — ${apiSuccessCount} API, ${domFallbackCount} DOM${resumedNote}`
 			});
 
 			return {
@@ -684,7 +787,8 @@
 					withTranscript: withTranscript.length,
 					totalEntries,
 					apiSuccessCount,
-					domFallbackCount
+					domFallbackCount,
+					resumedCount
 				}
 			};
 		} catch (err) {
@@ -699,14 +803,26 @@
 		batchCancelled = true;
 	};
 
+	// Meeting dropdown navigation, shared with the video download queue (videoDownload/downloadQueue.js)
+	window.__batchMeetingNavigator = {
+		getSeriesName,
+		getAllMeetingOptions,
+		quickSelectMeeting,
+		getSelectedMeetingText: () => document.querySelector(DROPDOWN_SELECTOR)?.textContent?.trim() || '',
+		isBatchRunning: () => batchRunning
+	};
+
 	// === Command listener ===
 	document.addEventListener('teamsBatchTranscriptCommand', async (e) => {
-		const { command } = e.detail || {};
+		const { command, data } = e.detail || {};
 		let result;
 
 		switch (command) {
 			case 'start':
-				result = await downloadAllTranscripts();
+				result = await downloadAllTranscripts(data?.resumeState || null, data?.selected || null);
+				break;
+			case 'list':
+				result = await listMeetings();
 				break;
 			case 'cancel':
 				cancelBatch();
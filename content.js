@@ -71,8 +71,40 @@ const isTeamsPage = () => {
     injectScript('videoDownload/captureStreamDownload.js', 'Video capture stream');
     injectScript('videoDownload/fmp4ToMp4.js', 'fMP4 to MP4 converter');
     injectScript('videoDownload/coordinator.js', 'Video download coordinator');
+    injectScript('videoDownload/downloadQueue.js', 'Video download queue');
   }
 
+  // Page scripts cannot read extension storage, so video download options are
+  // mirrored onto a hidden div that manifestDownload.js reads when it builds a file
+  const getVideoOptionsDiv = () => {
+    let optionsDiv = document.getElementById('tce-video-options');
+    if (!optionsDiv) {
+      optionsDiv = document.createElement('div');
+      optionsDiv.id = 'tce-video-options';
+      optionsDiv.style.display = 'none';
+      (document.body || document.documentElement).appendChild(optionsDiv);
+    }
+    return optionsDiv;
+  };
+
+  const syncVideoOptions = () => {
+    chrome.storage.local.get(['videoEmbedCaptions'], (result) => {
+      if (chrome.runtime.lastError) return;
+      getVideoOptionsDiv().setAttribute('data-embed-captions', result?.videoEmbedCaptions === true ? '1' : '0');
+    });
+  };
+
+  // Chapters ([{ start, title }]) for the video on screen, used by fast downloads and clips
+  const setVideoChapters = (chapters) => {
+    const optionsDiv = getVideoOptionsDiv();
+    optionsDiv.setAttribute('data-chapters', JSON.stringify(chapters));
+    optionsDiv.setAttribute('data-chapters-video', document.querySelector('video')?.currentSrc || '');
+  };
+  syncVideoOptions();
+  chrome.storage.onChanged.addListener((changes, area) => {
+    if (area === 'local' && changes.videoEmbedCaptions) syncVideoOptions();
+  });
+
   // Inject batch transcript download
   if (!window.__teamsBatchTranscriptInjected) {
     window.__teamsBatchTranscriptInjected = true;
@@ -96,14 +128,35 @@ const isTeamsPage = () => {
 
   const [
     teamsModule,
-    extractionModule
+    extractionModule,
+    transcriptFormatterModule,
+    transcriptAnalyticsModule,
+    meetingPackageModule,
+    zipBuilderModule,
+    meetingFilterModule,
+    transcriptDiffModule,
+    transcriptInsightsModule
   ] = await Promise.all([
     import(chrome.runtime.getURL('src/modules/teamsVariantDetector.js')),
-    import(chrome.runtime.getURL('src/modules/extractionEngine.js'))
+    import(chrome.runtime.getURL('src/modules/extractionEngine.js')),
+    import(chrome.runtime.getURL('src/modules/transcriptFormatter.js')),
+    import(chrome.runtime.getURL('src/modules/transcriptAnalytics.js')),
+    import(chrome.runtime.getURL('src/modules/meetingPackage.js')),
+    import(chrome.runtime.getURL('src/modules/zipBuilder.js')),
+    import(chrome.runtime.getURL('src/modules/meetingFilter.js')),
+    import(chrome.runtime.getURL('src/modules/transcriptDiff.js')),
+    import(chrome.runtime.getURL('src/modules/transcriptInsights.js'))
   ]);
 
   const { TeamsVariantDetector } = teamsModule;
   const { ExtractionEngine } = extractionModule;
+  const { TranscriptFormatter } = transcriptFormatterModule;
+  const { TranscriptAnalytics } = transcriptAnalyticsModule;
+  const { MeetingPackage } = meetingPackageModule;
+  const { ZipBuilder } = zipBuilderModule;
+  const { MeetingFilter } = meetingFilterModule;
+  const { TranscriptDiff } = transcriptDiffModule;
+  const { TranscriptInsights } = transcriptInsightsModule;
 
   console.log('Teams Chat Extractor initialized');
 
@@ -238,7 +291,8 @@ const isTeamsPage = () => {
             if (result) {
               const response = await chrome.runtime.sendMessage({
                 action: 'openResults',
-                data: result
+                data: result,
+                conversationIds: extractionEngine.lastConversationIds
               });
               if (response && response.success) {
                 console.log('Results page opened successfully');
@@ -253,6 +307,11 @@ const isTeamsPage = () => {
         sendResponse({status: 'extracting'});
         return true;
 
+      case 'extractAllChats':
+        setupChatExportPanel();
+        sendResponse({ status: 'panel_opened' });
+        return true;
+
       case 'getCurrentChat':
         const currentChat = TeamsVariantDetector.getCurrentChatTitle();
         sendResponse({chatTitle: currentChat});
@@ -303,6 +362,12 @@ const isTeamsPage = () => {
               description: 'Parallel fetch + decrypt (play video briefly first)',
               available: hasTemplates
             },
+            {
+              name: 'audioOnlyDownload',
+              label: 'Audio Only (M4A)',
+              description: 'Fetch + decrypt just the audio track as M4A (play video briefly first)',
+              available: hasTemplates
+            },
             {
               name: 'mseCaptureDownload',
               label: 'Save MSE Capture',
@@ -371,10 +436,16 @@ const isTeamsPage = () => {
             const videoTitle = titleEl?.innerText?.trim() || document.title?.trim() || 'transcript';
             const safeTitle = videoTitle.replace(/[^a-zA-Z0-9\s-]/g, '').trim();
 
+            const entries = getTranscriptEntries(data);
+            const sectionBreakSeconds = await loadSectionBreakSeconds();
+            const summary = await buildTranscriptSummary(entries);
             sendResponse({
               success: true,
               vtt: data.vtt,
-              txt: data.txt,
+              txt: summary + data.txt,
+              srt: TranscriptFormatter.buildSrt(entries),
+              readable: summary + TranscriptFormatter.buildReadableTranscript(entries, { sectionBreakSeconds }),
+              entries,
               title: safeTitle,
               source: data.source || 'unknown'
             });
@@ -512,6 +583,7 @@ const isTeamsPage = () => {
 
       let vtt = '';
       let txt = '';
+      let entries = null;
 
       if (text.startsWith('WEBVTT')) {
         vtt = text;
@@ -519,7 +591,7 @@ const isTeamsPage = () => {
       } else if (contentType.includes('json') || text.startsWith('{') || text.startsWith('[')) {
         try {
           const data = JSON.parse(text);
-          const entries = Array.isArray(data) ? data : (data.entries || data.captions || []);
+          entries = Array.isArray(data) ? data : (data.entries || data.captions || []);
           if (entries.length > 0) {
             const utils = window.__teamsTranscriptUtils;
             if (utils) {
@@ -549,7 +621,7 @@ const isTeamsPage = () => {
       }
 
       if (!vtt && !txt) return null;
-      return { vtt, txt, source: 'api' };
+      return { vtt, txt, entries, source: 'api' };
     } catch (err) {
       console.error('[Teams Chat Extractor] API fetch failed:', err);
       return null;
@@ -649,6 +721,7 @@ const isTeamsPage = () => {
           return {
             vtt: utils.buildVttTranscript(entries),
             txt: utils.buildTxtTranscript(entries),
+            entries,
             source: 'cdnmedia'
           };
         }
@@ -663,6 +736,7 @@ const isTeamsPage = () => {
         return {
           vtt: utils.buildVttTranscript(reactEntries),
           txt: utils.buildTxtTranscript(reactEntries),
+          entries: reactEntries,
           source: 'react'
         };
       }
@@ -681,6 +755,14 @@ const isTeamsPage = () => {
     };
   };
 
+  // Transcript entries for the SRT/DOCX builders; VTT-only sources are parsed back into entries
+  const getTranscriptEntries = (data) => {
+    if (Array.isArray(data?.entries) && data.entries.some((e) => e && (e.text || e.content))) {
+      return data.entries.map((e) => ({ ...e, text: e.text || e.content || '', speakerDisplayName: e.speakerDisplayName || e.speaker }));
+    }
+    return TranscriptFormatter.parseVtt(data?.vtt || '');
+  };
+
   const downloadFile = (content, filename) => {
     const a = document.createElement('a');
     a.setAttribute('href', 'data:text/plain;charset=utf-8,' + encodeURIComponent(content));
@@ -691,6 +773,63 @@ const isTeamsPage = () => {
     document.body.removeChild(a);
   };
 
+  // Pause length (seconds) that starts a new section in readable transcripts; 0 = off
+  const loadSectionBreakSeconds = () => new Promise((resolve) => {
+    chrome.storage.local.get(['transcriptSectionBreakSeconds'], (result) => {
+      resolve(chrome.runtime.lastError ? 0 : (parseInt(result?.transcriptSectionBreakSeconds, 10) || 0));
+    });
+  });
+
+  // Checkpoint of the last batch transcript run ({ seriesName, meetings, metadata, completed, updatedAt },
+  // keyed by meeting key: its text, numbered when several share one) so an interrupted run can be resumed
+  const BATCH_PROGRESS_KEY = 'batchTranscriptProgress';
+
+  const loadBatchProgress = () => new Promise((resolve) => {
+    chrome.storage.local.get([BATCH_PROGRESS_KEY], (result) => {
+      resolve(chrome.runtime.lastError ? null : (result?.[BATCH_PROGRESS_KEY] || null));
+    });
+  });
+
+  const saveBatchProgress = (progress) => {
+    chrome.storage.local.set({ [BATCH_PROGRESS_KEY]: progress }, () => {
+      if (chrome.runtime.lastError) {
+        console.warn('[Teams Chat Extractor] Could not save batch progress:', chrome.runtime.lastError.message);
+      }
+    });
+  };
+
+  const clearBatchProgress = () => {
+    chrome.storage.local.remove(BATCH_PROGRESS_KEY, () => {
+      if (chrome.runtime.lastError) { /* ignore */ }
+    });
+  };
+
+  // Optional rule-based summary (key terms, action items, dates, numbers) above TXT and readable exports
+  const loadIncludeSummary = () => new Promise((resolve) => {
+    chrome.storage.local.get(['transcriptIncludeSummary'], (result) => {
+      resolve(!chrome.runtime.lastError && result?.transcriptIncludeSummary === true);
+    });
+  });
+
+  // Summary text for the current meeting, or '' when the setting is off
+  const buildTranscriptSummary = async (entries) => {
+    if (!(await loadIncludeSummary())) return '';
+    const streamUrl = await getRecordingStreamUrl().catch(() => '');
+    return TranscriptInsights.toText(TranscriptInsights.analyze(entries), { streamUrl });
+  };
+
+  const downloadBlob = (blob, filename) => {
+    const url = URL.createObjectURL(blob);
+    const a = document.createElement('a');
+    a.href = url;
+    a.download = filename;
+    a.style.display = 'none';
+    document.body.appendChild(a);
+    a.click();
+    document.body.removeChild(a);
+    setTimeout(() => URL.revokeObjectURL(url), 1000);
+  };
+
   // Copy transcript handler
   const handleCopy = async (btn) => {
     const data = await getTranscriptData();
@@ -733,7 +872,174 @@ const isTeamsPage = () => {
       alert('Transcript not ready yet. Start playback to load the transcript, then try again.');
       return;
     }
-    downloadFile(data.txt, `transcript-${getVideoTitle()}.txt`);
+    const summary = await buildTranscriptSummary(getTranscriptEntries(data));
+    downloadFile(summary + data.txt, `transcript-${getVideoTitle()}.txt`);
+  };
+
+  // Download SRT handler
+  const handleDownloadSRT = async () => {
+    const data = await getTranscriptData();
+    if (!data) {
+      alert('Transcript not ready yet. Start playback to load the transcript, then try again.');
+      return;
+    }
+    downloadFile(TranscriptFormatter.buildSrt(getTranscriptEntries(data)), `transcript-${getVideoTitle()}.srt`);
+  };
+
+  // Download readable (speaker paragraphs) handler
+  const handleDownloadReadable = async () => {
+    const data = await getTranscriptData();
+    if (!data) {
+      alert('Transcript not ready yet. Start playback to load the transcript, then try again.');
+      return;
+    }
+    const entries = getTranscriptEntries(data);
+    const sectionBreakSeconds = await loadSectionBreakSeconds();
+    const readable = TranscriptFormatter.buildReadableTranscript(entries, { sectionBreakSeconds });
+    downloadFile(await buildTranscriptSummary(entries) + readable, `transcript-${getVideoTitle()}-readable.txt`);
+  };
+
+  // Speaker analytics for the current meeting
+  const handleShowAnalytics = async () => {
+    const data = await getTranscriptData();
+    if (!data) {
+      alert('Transcript not ready yet. Start playback to load the transcript, then try again.');
+      return;
+    }
+    const title = getVideoTitle();
+    setupTranscriptAnalyticsPanel([{ label: title, entries: getTranscriptEntries(data) }], { title });
+  };
+
+  // Latest readcollabobject entry: local frame, then other frames, then the background cache
+  const getLatestAPIMeta = async () => {
+    const latestOf = (meta) => {
+      const keys = Object.keys(meta || {});
+      return keys.length > 0 ? meta[keys[keys.length - 1]] : null;
+    };
+    const local = latestOf(getAPIMetadata()) || latestOf(crossFrameAPIMeta);
+    if (local) return local;
+    const bgMeta = await new Promise((resolve) => {
+      chrome.runtime.sendMessage({ action: 'getTranscriptAPIMeta' }, (resp) => {
+        resolve(chrome.runtime.lastError ? {} : (resp || {}));
+      });
+    });
+    return latestOf(bgMeta.metadata);
+  };
+
+  // Meeting ids and times from a readcollabobject entry
+  const getMeetingInfo = (apiMeta) => {
+    const resources = Object.entries(apiMeta?.resources || {});
+    const transcript = resources.find(([type]) => type.toLowerCase().includes('transcript'))?.[1] || {};
+    const recording = resources.find(([type]) => /recording|video/i.test(type))?.[1] || {};
+    let threadId = transcript.threadId || apiMeta?.threadId || '';
+    try { threadId = decodeURIComponent(threadId); } catch (e) {}
+    return {
+      threadId,
+      calendarEventId: apiMeta?.calendarEventId || '',
+      startTime: transcript.startTime || recording.startTime || '',
+      endTime: transcript.endTime || recording.endTime || '',
+      transcriptStartTime: transcript.startTime || '',
+      recordingStartTime: recording.startTime || '',
+      recordingUrl: recording.location || ''
+    };
+  };
+
+  // Recording drive item metadata, refreshed from SharePoint when a token is available
+  const fetchRecordingDriveItem = async () => {
+    const captured = getVideoDriveItem();
+    if (!captured) return null;
+    const token = captured.apiBase ? getTokenForUrl(captured.apiBase) : null;
+    if (token) {
+      try {
+        const resp = await fetch(captured.apiBase, { headers: { 'Authorization': token, 'Accept': 'application/json' } });
+        if (resp.ok) return MeetingPackage.describeDriveItem(await resp.json(), captured);
+      } catch (e) {
+        console.warn('[Teams Chat Extractor] Drive item fetch failed:', e.message);
+      }
+    }
+    return MeetingPackage.describeDriveItem(null, captured);
+  };
+
+  // Export meeting handler: transcript + meeting chat + recording metadata as HTML and JSON
+  const handleExportMeeting = async () => {
+    const data = await getTranscriptData();
+    const meeting = getMeetingInfo(await getLatestAPIMeta());
+    if (!data && !meeting.threadId) {
+      alert('Meeting data not ready yet. Open the recap or start playback, then try again.');
+      return;
+    }
+
+    let messages = [];
+    let chatError = null;
+    if (/^19:meeting_/.test(meeting.threadId)) {
+      try {
+        // The popup's chat date window is for chat exports; a meeting package keeps its whole chat
+        const fetched = await extractionEngine.apiMessageExtractor.fetchConversation(meeting.threadId, { incremental: false, dateWindow: false });
+        messages = extractionEngine.prepareMessages(extractionEngine.mergeMessages(fetched));
+        if (messages.length === 0) chatError = 'no messages returned';
+      } catch (err) {
+        console.error('[Teams Chat Extractor] Meeting chat fetch failed:', err);
+        chatError = err.message;
+      }
+    } else {
+      chatError = 'meeting chat thread not found';
+    }
+
+    const title = getVideoTitle();
+    const pkg = MeetingPackage.build({
+      title,
+      meeting,
+      entries: data ? getTranscriptEntries(data) : [],
+      messages,
+      recording: await fetchRecordingDriveItem(),
+      chatError
+    });
+    downloadFile(MeetingPackage.toJson(pkg), `meeting-${title}.json`);
+    downloadBlob(new Blob([MeetingPackage.toHtml(pkg)], { type: 'text/html' }), `meeting-${title}.html`);
+  };
+
+  // Stream player URL for the current recording, used for &nav= deep links in the viewer
+  const getRecordingStreamUrl = async () => {
+    if (window.location.pathname.toLowerCase().endsWith('/stream.aspx')) {
+      return window.location.href;
+    }
+    const fromMeta = TranscriptFormatter.buildStreamUrl(getMeetingInfo(await getLatestAPIMeta()).recordingUrl);
+    if (fromMeta) return fromMeta;
+    const recording = await fetchRecordingDriveItem();
+    return TranscriptFormatter.buildStreamUrl(recording?.webUrl);
+  };
+
+  // Hands transcripts ([{ title, entries, streamUrl, source }]) to the results viewer
+  const openTranscriptsInViewer = (transcripts) => new Promise((resolve) => {
+    chrome.runtime.sendMessage({ action: 'openTranscripts', transcripts }, (response) => {
+      resolve(chrome.runtime.lastError ? null : response);
+    });
+  });
+
+  // Open the current transcript in the results viewer
+  const handleOpenInViewer = async () => {
+    const data = await getTranscriptData();
+    if (!data) {
+      alert('Transcript not ready yet. Start playback to load the transcript, then try again.');
+      return;
+    }
+    await openTranscriptsInViewer([{
+      title: getVideoTitle(),
+      entries: getTranscriptEntries(data),
+      streamUrl: await getRecordingStreamUrl(),
+      source: data.source || 'unknown'
+    }]);
+  };
+
+  // Download DOCX handler
+  const handleDownloadDOCX = async () => {
+    const data = await getTranscriptData();
+    if (!data) {
+      alert('Transcript not ready yet. Start playback to load the transcript, then try again.');
+      return;
+    }
+    const title = getVideoTitle();
+    downloadBlob(TranscriptFormatter.buildDocx(getTranscriptEntries(data), { title }), `transcript-${title}.docx`);
   };
 
   // Close any open download dropdown
@@ -757,8 +1063,44 @@ const isTeamsPage = () => {
     txtItem.textContent = 'Download TXT';
     txtItem.addEventListener('click', () => { handleDownloadTXT(); closeDropdowns(); });
 
+    const readableItem = document.createElement('button');
+    readableItem.className = 'tce-download-dropdown-item';
+    readableItem.textContent = 'Download Readable TXT';
+    readableItem.addEventListener('click', () => { handleDownloadReadable(); closeDropdowns(); });
+
+    const srtItem = document.createElement('button');
+    srtItem.className = 'tce-download-dropdown-item';
+    srtItem.textContent = 'Download SRT';
+    srtItem.addEventListener('click', () => { handleDownloadSRT(); closeDropdowns(); });
+
+    const docxItem = document.createElement('button');
+    docxItem.className = 'tce-download-dropdown-item';
+    docxItem.textContent = 'Download Word (DOCX)';
+    docxItem.addEventListener('click', () => { handleDownloadDOCX(); closeDropdowns(); });
+
+    const analyticsItem = document.createElement('button');
+    analyticsItem.className = 'tce-download-dropdown-item';
+    analyticsItem.textContent = 'Speaker Analytics';
+    analyticsItem.addEventListener('click', () => { handleShowAnalytics(); closeDropdowns(); });
+
+    const meetingItem = document.createElement('button');
+    meetingItem.className = 'tce-download-dropdown-item';
+    meetingItem.textContent = 'Export Meeting (transcript + chat)';
+    meetingItem.addEventListener('click', () => { handleExportMeeting(); closeDropdowns(); });
+
+    const viewerItem = document.createElement('button');
+    viewerItem.className = 'tce-download-dropdown-item';
+    viewerItem.textContent = 'Open in Viewer';
+    viewerItem.addEventListener('click', () => { handleOpenInViewer(); closeDropdowns(); });
+
     dropdown.appendChild(vttItem);
     dropdown.appendChild(txtItem);
+    dropdown.appendChild(readableItem);
+    dropdown.appendChild(srtItem);
+    dropdown.appendChild(docxItem);
+    dropdown.appendChild(analyticsItem);
+    dropdown.appendChild(meetingItem);
+    dropdown.appendChild(viewerItem);
     anchorBtn.appendChild(dropdown);
 
     // Close on outside click
@@ -799,12 +1141,15 @@ const isTeamsPage = () => {
 
     const batchBtn = makeBtn(SVG_ICONS.batch, 'Batch download all transcripts', () => setupBatchTranscriptPanel());
 
+    const videoQueueBtn = makeBtn(SVG_ICONS.video, 'Queue recordings of several meetings', () => setupVideoQueuePanel());
+
     const videoBtn = makeBtn(SVG_ICONS.video, 'Download video', () => handleDirectVideoDownload());
 
     toolbar.appendChild(copyBtn);
     toolbar.appendChild(downloadBtn);
     toolbar.appendChild(batchBtn);
     toolbar.appendChild(videoBtn);
+    toolbar.appendChild(videoQueueBtn);
 
     console.log('[Teams Chat Extractor] Injected buttons into recap action toolbar');
   };
@@ -832,6 +1177,12 @@ const isTeamsPage = () => {
     menubar.appendChild(makeCmdBtn('Copy', SVG_ICONS.copy, (e) => handleCopy(e.currentTarget)));
     menubar.appendChild(makeCmdBtn('Download VTT', SVG_ICONS.download, handleDownloadVTT));
     menubar.appendChild(makeCmdBtn('Download TXT', SVG_ICONS.download, handleDownloadTXT));
+    menubar.appendChild(makeCmdBtn('Download Readable', SVG_ICONS.download, handleDownloadReadable));
+    menubar.appendChild(makeCmdBtn('Download SRT', SVG_ICONS.download, handleDownloadSRT));
+    menubar.appendChild(makeCmdBtn('Download DOCX', SVG_ICONS.download, handleDownloadDOCX));
+    menubar.appendChild(makeCmdBtn('Analytics', SVG_ICONS.batch, handleShowAnalytics));
+    menubar.appendChild(makeCmdBtn('Export Meeting', SVG_ICONS.download, handleExportMeeting));
+    menubar.appendChild(makeCmdBtn('Open in Viewer', SVG_ICONS.copy, handleOpenInViewer));
     menubar.appendChild(makeCmdBtn('Batch Download', SVG_ICONS.batch, () => setupBatchTranscriptPanel()));
 
     console.log('[Teams Chat Extractor] Injected buttons into transcript actions menubar');
@@ -908,15 +1259,55 @@ const isTeamsPage = () => {
       const data = await getTranscriptData();
       if (!data) { alert('Transcript not available. Open the Transcript tab first.'); return; }
       const title = document.querySelector('h1,h2')?.textContent?.trim()?.replace(/[^a-zA-Z0-9\s-]/g, '') || 'transcript';
-      downloadFile(data.txt, `transcript-${title}.txt`);
+      const summary = await buildTranscriptSummary(getTranscriptEntries(data));
+      downloadFile(summary + data.txt, `transcript-${title}.txt`);
+    });
+
+    const dlReadableBtn = makeBtn('\u2B07 Readable', async () => {
+      const data = await getTranscriptData();
+      if (!data) { alert('Transcript not available. Open the Transcript tab first.'); return; }
+      const title = document.querySelector('h1,h2')?.textContent?.trim()?.replace(/[^a-zA-Z0-9\s-]/g, '') || 'transcript';
+      const entries = getTranscriptEntries(data);
+      const sectionBreakSeconds = await loadSectionBreakSeconds();
+      const readable = TranscriptFormatter.buildReadableTranscript(entries, { sectionBreakSeconds });
+      downloadFile(await buildTranscriptSummary(entries) + readable, `transcript-${title}-readable.txt`);
+    });
+
+    const dlSrtBtn = makeBtn('\u2B07 SRT', async () => {
+      const data = await getTranscriptData();
+      if (!data) { alert('Transcript not available. Open the Transcript tab first.'); return; }
+      const title = document.querySelector('h1,h2')?.textContent?.trim()?.replace(/[^a-zA-Z0-9\s-]/g, '') || 'transcript';
+      downloadFile(TranscriptFormatter.buildSrt(getTranscriptEntries(data)), `transcript-${title}.srt`);
+    });
+
+    const dlDocxBtn = makeBtn('\u2B07 DOCX', async () => {
+      const data = await getTranscriptData();
+      if (!data) { alert('Transcript not available. Open the Transcript tab first.'); return; }
+      const title = document.querySelector('h1,h2')?.textContent?.trim()?.replace(/[^a-zA-Z0-9\s-]/g, '') || 'transcript';
+      downloadBlob(TranscriptFormatter.buildDocx(getTranscriptEntries(data), { title }), `transcript-${title}.docx`);
     });
 
+    const analyticsBtn = makeBtn('\u{1F4CA} Analytics', () => handleShowAnalytics());
+
+    const meetingBtn = makeBtn('\u{1F4E6} Meeting', () => handleExportMeeting());
+
+    const viewerBtn = makeBtn('\u{1F50E} Viewer', () => handleOpenInViewer());
+
     const dlVideoBtn = makeBtn('\u{1F3AC} Video', () => handleDirectVideoDownload());
 
+    const videoQueueBtn = makeBtn('\u{1F39E} Video Queue', () => setupVideoQueuePanel());
+
     bar.appendChild(copyBtn);
     bar.appendChild(dlVttBtn);
     bar.appendChild(dlTxtBtn);
+    bar.appendChild(dlReadableBtn);
+    bar.appendChild(dlSrtBtn);
+    bar.appendChild(dlDocxBtn);
+    bar.appendChild(analyticsBtn);
+    bar.appendChild(meetingBtn);
+    bar.appendChild(viewerBtn);
     bar.appendChild(dlVideoBtn);
+    bar.appendChild(videoQueueBtn);
 
     // Insert after the tablist's parent container (below the tabs, inside the scrollable area)
     targetTablist.parentElement.insertAdjacentElement('afterend', bar);
@@ -979,6 +1370,46 @@ const isTeamsPage = () => {
     });
   };
 
+  // Helper to send commands to the injected video download queue
+  const sendVideoQueueCommand = (command, data = {}, timeoutMs = 6 * 60 * 60 * 1000) => {
+    return new Promise((resolve) => {
+      const handler = (e) => {
+        if (e.detail?.command === command) {
+          document.removeEventListener('tceVideoQueueResponse', handler);
+          resolve(e.detail.result);
+        }
+      };
+      document.addEventListener('tceVideoQueueResponse', handler);
+      document.dispatchEvent(new CustomEvent('tceVideoQueueCommand', {
+        detail: { command, data }
+      }));
+      setTimeout(() => {
+        document.removeEventListener('tceVideoQueueResponse', handler);
+        resolve(null);
+      }, timeoutMs);
+    });
+  };
+
+  // Helper to send commands to the injected video download coordinator
+  const sendCoordinatorCommand = (command, data = {}, timeoutMs = 30 * 60 * 1000) => {
+    return new Promise((resolve) => {
+      const handler = (e) => {
+        if (e.detail?.command === command) {
+          document.removeEventListener('tceVideoDownloadResponse', handler);
+          resolve(e.detail.result);
+        }
+      };
+      document.addEventListener('tceVideoDownloadResponse', handler);
+      document.dispatchEvent(new CustomEvent('tceVideoDownloadCommand', {
+        detail: { command, data }
+      }));
+      setTimeout(() => {
+        document.removeEventListener('tceVideoDownloadResponse', handler);
+        resolve(null);
+      }, timeoutMs);
+    });
+  };
+
   // Check if video capture is available
   const checkVideoCaptureAvailable = async () => {
     const result = await sendVideoCommand('ping');
@@ -1098,6 +1529,25 @@ const isTeamsPage = () => {
         <button class="vdp-btn" id="vdp-analyze" style="background: #555; font-size: 10px;" title="View captured URL patterns in console">🔍</button>
         <button class="vdp-btn" id="vdp-direct" style="background: linear-gradient(135deg, #ff6b6b, #ee5a5a); font-size: 10px;" title="Fast API download - only works for non-DRM content">⚡ Direct</button>
       </div>
+      <div class="vdp-clip">
+        <label>In <input type="text" class="vdp-clip-time" id="vdp-clip-in" placeholder="0:00"></label>
+        <button class="vdp-clip-set" id="vdp-clip-set-in" title="Use the current playback position">⏱</button>
+        <label>Out <input type="text" class="vdp-clip-time" id="vdp-clip-out" placeholder="${totalMins}:${String(totalSecs).padStart(2, '0')}"></label>
+        <button class="vdp-clip-set" id="vdp-clip-set-out" title="Use the current playback position">⏱</button>
+        <button class="vdp-btn vdp-clip-save" id="vdp-clip-save" title="Fetch only the segments of this range (fast method, play video briefly first)">✂️ Save Clip</button>
+      </div>
+      <div class="vdp-chapters">
+        <label>Chapters
+          <select class="vdp-chapter-mode" id="vdp-chapter-mode">
+            <option value="">None</option>
+            <option value="speakers">Speaker turns</option>
+            <option value="manual">My timestamps</option>
+          </select>
+        </label>
+        <label class="vdp-chapter-minutes" id="vdp-chapter-minutes-label" hidden>longer than <input type="number" id="vdp-chapter-minutes" min="1" max="120" value="5"> min</label>
+        <textarea class="vdp-chapter-list" id="vdp-chapter-list" rows="3" placeholder="0:00 Welcome&#10;12:30 Q&amp;A&#10;1:05:00 Wrap-up" hidden></textarea>
+        <div class="vdp-chapter-info" id="vdp-chapter-info"></div>
+      </div>
       <div class="vdp-tip">🚀 Start → 💾 Save Combined (auto-merges video+audio)</div>
     `;
 
@@ -1316,6 +1766,100 @@ const isTeamsPage = () => {
       }
     });
 
+    // Clip in/out points, as H:MM:SS, MM:SS or seconds
+    const clipInInput = document.getElementById('vdp-clip-in');
+    const clipOutInput = document.getElementById('vdp-clip-out');
+    const clipSaveBtn = document.getElementById('vdp-clip-save');
+
+    const parseClipTime = (value, fallback) => {
+      const text = value.trim();
+      if (!text) return fallback;
+      if (!/^\d+(:\d{1,2}){0,2}(\.\d+)?$/.test(text)) return NaN;
+      return TranscriptFormatter.offsetToSeconds(text);
+    };
+    const formatClipTime = (seconds) => TranscriptFormatter.formatTimestamp(seconds).split('.')[0].replace(/^00:/, '');
+
+    document.getElementById('vdp-clip-set-in').addEventListener('click', () => {
+      clipInInput.value = formatClipTime(video.currentTime);
+    });
+    document.getElementById('vdp-clip-set-out').addEventListener('click', () => {
+      clipOutInput.value = formatClipTime(video.currentTime);
+    });
+
+    clipSaveBtn.addEventListener('click', async () => {
+      const duration = video.duration || totalDuration;
+      const start = parseClipTime(clipInInput.value, 0);
+      const end = parseClipTime(clipOutInput.value, duration);
+      if (Number.isNaN(start) || Number.isNaN(end)) {
+        statusEl.textContent = '❌ Use times like 12:30 or 1:02:30';
+        return;
+      }
+      if (end <= start || start >= duration) {
+        statusEl.textContent = '❌ The out point must come after the in point, within the recording';
+        return;
+      }
+
+      clipSaveBtn.disabled = true;
+      statusEl.textContent = `✂️ Preparing clip ${formatClipTime(start)}–${formatClipTime(Math.min(end, duration))}...`;
+
+      const progressHandler = (e) => {
+        statusEl.textContent = '✂️ ' + (e.detail?.message || 'Processing...');
+        if (e.detail?.percent !== undefined) progressEl.style.width = `${e.detail.percent}%`;
+      };
+      document.addEventListener('tceVideoDownloadProgress', progressHandler);
+      const result = await sendCoordinatorCommand('downloadClip', { start, end });
+      document.removeEventListener('tceVideoDownloadProgress', progressHandler);
+
+      if (!result) {
+        statusEl.textContent = '❌ No response - reload page and try again';
+      } else if (!result.success) {
+        statusEl.textContent = '❌ ' + result.error;
+      } else {
+        progressEl.style.width = '100%';
+        statusEl.textContent = `✅ Saved ${result.fileName} (${formatClipTime(result.clipStart)}–${formatClipTime(result.clipEnd)}, ${Math.round(result.fileSize / 1024 / 1024)} MB${result.captionCount ? `, ${result.captionCount} captions` : ''}${result.chapterCount ? `, ${result.chapterCount} chapters` : ''})`;
+      }
+      clipSaveBtn.disabled = false;
+    });
+
+    // Chapters for Save Clip and the popup's Fast Download: long speaker turns or typed timestamps
+    const chapterModeSelect = document.getElementById('vdp-chapter-mode');
+    const chapterMinutesLabel = document.getElementById('vdp-chapter-minutes-label');
+    const chapterMinutesInput = document.getElementById('vdp-chapter-minutes');
+    const chapterListInput = document.getElementById('vdp-chapter-list');
+    const chapterInfoEl = document.getElementById('vdp-chapter-info');
+
+    const updateChapters = async () => {
+      const mode = chapterModeSelect.value;
+      chapterMinutesLabel.hidden = mode !== 'speakers';
+      chapterListInput.hidden = mode !== 'manual';
+
+      let chapters = [];
+      if (mode === 'speakers') {
+        const data = await getTranscriptData();
+        if (!data) {
+          chapterInfoEl.textContent = 'No transcript captured yet. Open the Transcript panel, then pick this again.';
+          setVideoChapters([]);
+          return;
+        }
+        const minutes = Math.max(1, parseFloat(chapterMinutesInput.value) || 5);
+        chapters = TranscriptFormatter.buildSpeakerChapters(getTranscriptEntries(data), { minSeconds: minutes * 60 });
+        chapterInfoEl.textContent = `${chapters.length} speaker turns longer than ${minutes} min`;
+      } else if (mode === 'manual') {
+        const parsed = TranscriptFormatter.parseChapterList(chapterListInput.value);
+        chapters = parsed.chapters;
+        chapterInfoEl.textContent = parsed.errors.length > 0
+          ? `Skipped (start each line with a time): ${parsed.errors.join('; ')}`
+          : `${chapters.length} chapters`;
+      } else {
+        chapterInfoEl.textContent = '';
+      }
+      setVideoChapters(chapters);
+    };
+
+    chapterModeSelect.addEventListener('change', updateChapters);
+    chapterMinutesInput.addEventListener('change', updateChapters);
+    chapterListInput.addEventListener('input', updateChapters);
+
     // Save captured files
     downloadBtn.addEventListener('click', async () => {
       downloadBtn.disabled = true;
@@ -1387,6 +1931,174 @@ const isTeamsPage = () => {
     });
   }
 
+  // === VIDEO DOWNLOAD QUEUE PANEL ===
+  let videoQueuePanelOpen = false;
+
+  const VIDEO_QUEUE_STATUS = {
+    pending: 'Waiting',
+    navigating: 'Opening...',
+    downloading: 'Downloading...',
+    retrying: 'Retrying...',
+    done: 'Done',
+    failed: 'Failed'
+  };
+
+  const setupVideoQueuePanel = async () => {
+    if (videoQueuePanelOpen || document.getElementById('video-queue-panel')) {
+      return;
+    }
+    videoQueuePanelOpen = true;
+
+    const panel = document.createElement('div');
+    panel.id = 'video-queue-panel';
+    panel.innerHTML = `
+      <div class="vqp-header">
+        <span>Video Download Queue</span>
+        <button class="vqp-close" id="vqp-close">\u00D7</button>
+      </div>
+      <div class="vqp-status" id="vqp-status">Loading meeting list...</div>
+      <div class="vqp-row">
+        <span class="vqp-count" id="vqp-count"></span>
+        <button class="vqp-link" id="vqp-all">All</button>
+        <button class="vqp-link" id="vqp-none">None</button>
+      </div>
+      <div class="vqp-list" id="vqp-list"></div>
+      <div class="vqp-buttons">
+        <button class="vqp-btn vqp-start" id="vqp-start" disabled>Download Selected</button>
+        <button class="vqp-btn vqp-retry" id="vqp-retry" disabled>Retry Failed</button>
+        <button class="vqp-btn vqp-cancel" id="vqp-cancel" disabled>Cancel</button>
+      </div>
+      <div class="vqp-tip">Meetings are opened one at a time; keep this tab in the foreground until the queue finishes.</div>
+    `;
+
+    document.body.appendChild(panel);
+
+    const closeBtn = document.getElementById('vqp-close');
+    const startBtn = document.getElementById('vqp-start');
+    const retryBtn = document.getElementById('vqp-retry');
+    const cancelBtn = document.getElementById('vqp-cancel');
+    const statusEl = document.getElementById('vqp-status');
+    const countEl = document.getElementById('vqp-count');
+    const listEl = document.getElementById('vqp-list');
+
+    let rows = []; // [{ index, text, checkbox, stateEl }]
+    let running = false;
+
+    const updateCount = () => {
+      const selected = rows.filter((row) => row.checkbox.checked).length;
+      countEl.textContent = `${selected} of ${rows.length} selected`;
+      startBtn.disabled = running || selected === 0;
+    };
+
+    const setRunning = (value) => {
+      running = value;
+      cancelBtn.disabled = !value;
+      rows.forEach((row) => { row.checkbox.disabled = value; });
+      updateCount();
+    };
+
+    // Per-meeting state from the queue's item snapshots, matched by dropdown index
+    const renderItems = (items) => {
+      items.forEach((item) => {
+        const row = rows.find((r) => r.index === item.index);
+        if (!row) return;
+        row.stateEl.className = `vqp-state vqp-state-${item.status}`;
+        row.stateEl.textContent = VIDEO_QUEUE_STATUS[item.status] || item.status;
+        row.stateEl.title = item.error || item.fileName || '';
+      });
+      retryBtn.disabled = running || !items.some((item) => item.status === 'failed');
+    };
+
+    const progressHandler = (e) => {
+      const d = e.detail;
+      statusEl.textContent = d.percent != null ? `${d.message} (${d.percent}%)` : d.message;
+      if (d.stage === 'complete' || d.stage === 'cancelled') setRunning(false);
+      if (d.items) renderItems(d.items);
+    };
+    document.addEventListener('tceVideoQueueProgress', progressHandler);
+
+    closeBtn.addEventListener('click', () => {
+      if (running) sendVideoQueueCommand('cancel');
+      document.removeEventListener('tceVideoQueueProgress', progressHandler);
+      panel.remove();
+      videoQueuePanelOpen = false;
+    });
+
+    const runQueue = async (command, data = {}) => {
+      setRunning(true);
+      retryBtn.disabled = true;
+      const result = await sendVideoQueueCommand(command, data);
+      setRunning(false);
+
+      if (!result) {
+        statusEl.textContent = 'No response from the video queue. Reload page.';
+        return;
+      }
+      if (result.error) {
+        statusEl.textContent = result.error;
+        return;
+      }
+      renderItems(result.items);
+    };
+
+    startBtn.addEventListener('click', () => {
+      const meetings = rows.filter((row) => row.checkbox.checked).map(({ index, text }) => ({ index, text }));
+      if (meetings.length === 0) return;
+      runQueue('start', { meetings });
+    });
+    retryBtn.addEventListener('click', () => runQueue('retryFailed'));
+    cancelBtn.addEventListener('click', () => {
+      sendVideoQueueCommand('cancel');
+      cancelBtn.disabled = true;
+      statusEl.textContent = 'Cancelling after the current step...';
+    });
+
+    document.getElementById('vqp-all').addEventListener('click', () => {
+      if (running) return;
+      rows.forEach((row) => { row.checkbox.checked = true; });
+      updateCount();
+    });
+    document.getElementById('vqp-none').addEventListener('click', () => {
+      if (running) return;
+      rows.forEach((row) => { row.checkbox.checked = false; });
+      updateCount();
+    });
+
+    const result = await sendBatchCommand('list', {}, 120000);
+    if (!document.body.contains(panel)) return;
+    if (!result || result.error) {
+      statusEl.textContent = result?.error || 'No response from batch script. Reload page.';
+      return;
+    }
+
+    rows = result.meetings.map(({ index, text }) => {
+      const label = document.createElement('label');
+      label.className = 'vqp-item';
+      const checkbox = document.createElement('input');
+      checkbox.type = 'checkbox';
+      checkbox.addEventListener('change', updateCount);
+      const name = document.createElement('span');
+      name.textContent = text;
+      const stateEl = document.createElement('span');
+      stateEl.className = 'vqp-state';
+      label.append(checkbox, name, stateEl);
+      listEl.appendChild(label);
+      return { index, text, checkbox, stateEl };
+    });
+    updateCount();
+    statusEl.textContent = `${rows.length} meetings in ${result.seriesName}. Select the recordings to download.`;
+
+    // Show a queue that is still winding down after the panel was closed
+    const status = await sendVideoQueueCommand('status', {}, 5000);
+    if (status?.items?.length) {
+      renderItems(status.items);
+      if (status.running) {
+        setRunning(true);
+        statusEl.textContent = 'Queue is running...';
+      }
+    }
+  };
+
   // === BATCH TRANSCRIPT PANEL ===
   let batchPanelOpen = false;
 
@@ -1415,21 +2127,72 @@ const isTeamsPage = () => {
       <div class="btp-log" id="btp-log"></div>
       <div class="btp-buttons">
         <button class="btp-btn btp-start" id="btp-start">Start</button>
+        <button class="btp-btn btp-resume" id="btp-resume" hidden>Resume</button>
+        <button class="btp-btn btp-filter-toggle" id="btp-filter-toggle">Filter...</button>
         <button class="btp-btn btp-cancel" id="btp-cancel" disabled>Cancel</button>
       </div>
+      <div class="btp-filter" id="btp-filter" hidden>
+        <div class="btp-filter-row">
+          <label>From <input type="date" id="btp-filter-from"></label>
+          <label>To <input type="date" id="btp-filter-to"></label>
+        </div>
+        <input type="text" class="btp-filter-title" id="btp-filter-title" placeholder="Title matches (regular expression)">
+        <div class="btp-filter-row">
+          <span class="btp-filter-count" id="btp-filter-count"></span>
+          <button class="btp-filter-link" id="btp-filter-all">All</button>
+          <button class="btp-filter-link" id="btp-filter-none">None</button>
+        </div>
+        <div class="btp-filter-list" id="btp-filter-list"></div>
+      </div>
       <div class="btp-buttons" style="margin-top: 8px;">
         <button class="btp-btn btp-download-all" id="btp-download-vtt" disabled>Download All VTT</button>
         <button class="btp-btn btp-download-all" id="btp-download-txt" disabled>Download All TXT</button>
       </div>
+      <div class="btp-buttons" style="margin-top: 4px;">
+        <button class="btp-btn btp-download-all" id="btp-download-readable" disabled>Download All Readable</button>
+        <button class="btp-btn btp-analytics" id="btp-analytics" disabled>Speaker Analytics</button>
+        <button class="btp-btn btp-analytics" id="btp-open-viewer" disabled>Open in Viewer</button>
+        <button class="btp-btn btp-analytics" id="btp-compare" disabled>Compare Meetings</button>
+      </div>
+      <div class="btp-buttons" style="margin-top: 4px;">
+        <button class="btp-btn btp-download-all" id="btp-download-srt" disabled>Download All SRT</button>
+        <button class="btp-btn btp-download-all" id="btp-download-docx" disabled>Download All DOCX</button>
+      </div>
+      <div class="btp-buttons" style="margin-top: 4px;">
+        <select class="btp-zip-format" id="btp-zip-format" title="Format of the per-meeting files">
+          <option value="vtt">VTT</option>
+          <option value="txt">TXT</option>
+          <option value="readable">Readable</option>
+          <option value="srt">SRT</option>
+          <option value="docx">DOCX</option>
+        </select>
+        <button class="btp-btn btp-download-all" id="btp-download-zip" disabled>Download ZIP (one file per meeting)</button>
+      </div>
     `;
 
     document.body.appendChild(panel);
 
     const closeBtn = document.getElementById('btp-close');
     const startBtn = document.getElementById('btp-start');
+    const resumeBtn = document.getElementById('btp-resume');
+    const filterToggleBtn = document.getElementById('btp-filter-toggle');
+    const filterEl = document.getElementById('btp-filter');
+    const filterFromInput = document.getElementById('btp-filter-from');
+    const filterToInput = document.getElementById('btp-filter-to');
+    const filterTitleInput = document.getElementById('btp-filter-title');
+    const filterCountEl = document.getElementById('btp-filter-count');
+    const filterListEl = document.getElementById('btp-filter-list');
     const cancelBtn = document.getElementById('btp-cancel');
     const downloadVttBtn = document.getElementById('btp-download-vtt');
     const downloadTxtBtn = document.getElementById('btp-download-txt');
+    const downloadReadableBtn = document.getElementById('btp-download-readable');
+    const analyticsBtn = document.getElementById('btp-analytics');
+    const openViewerBtn = document.getElementById('btp-open-viewer');
+    const compareBtn = document.getElementById('btp-compare');
+    const downloadSrtBtn = document.getElementById('btp-download-srt');
+    const downloadDocxBtn = document.getElementById('btp-download-docx');
+    const zipFormatSelect = document.getElementById('btp-zip-format');
+    const downloadZipBtn = document.getElementById('btp-download-zip');
     const totalEl = document.getElementById('btp-total');
     const total2El = document.getElementById('btp-total2');
     const foundEl = document.getElementById('btp-found');
@@ -1439,6 +2202,11 @@ const isTeamsPage = () => {
     const logEl = document.getElementById('btp-log');
 
     let batchResults = null;
+    // Summary text per result, prefixed to TXT and readable files when they are saved
+    let batchSummaries = new Map();
+    let savedProgress = null;
+    let saveTimer = null;
+    let filterMeetings = null; // [{ index, text, date, checkbox }] once the meeting list is loaded
 
     const addLog = (text, type = 'info') => {
       const line = document.createElement('div');
@@ -1473,6 +2241,8 @@ const isTeamsPage = () => {
         addLog(`Trying API for ${d.currentMeeting}...`, 'info');
       } else if (d.phase === 'skipped') {
         addLog(`${d.currentMeeting}: no transcript`, 'warn');
+      } else if (d.phase === 'resumed' || d.phase === 'filtered') {
+        addLog(d.message, 'info');
       } else if (d.phase === 'complete') {
         const apiNote = d.apiSuccessCount > 0 ? ` (${d.apiSuccessCount} API, ${d.domFallbackCount} DOM)` : '';
         addLog(`Complete: ${d.transcriptsFound}/${d.total} meetings had transcripts${apiNote}`, 'success');
@@ -1481,6 +2251,146 @@ const isTeamsPage = () => {
     };
     document.addEventListener('teamsBatchTranscriptProgress', progressHandler);
 
+    const updateResumeButton = () => {
+      const done = savedProgress ? Object.keys(savedProgress.completed || {}).length : 0;
+      const total = savedProgress?.meetings?.length || 0;
+      resumeBtn.hidden = !savedProgress || total === 0;
+      resumeBtn.textContent = `Resume (${done}/${total})`;
+      resumeBtn.title = savedProgress ? `Continue "${savedProgress.seriesName}" from its last checkpoint` : '';
+    };
+
+    // Storage writes are debounced; a checkpoint arrives for every meeting
+    const flushProgress = () => {
+      clearTimeout(saveTimer);
+      saveTimer = null;
+      if (savedProgress) saveBatchProgress(savedProgress);
+    };
+
+    const checkpointHandler = (e) => {
+      const d = e.detail || {};
+      if (d.type === 'complete') {
+        clearTimeout(saveTimer);
+        saveTimer = null;
+        savedProgress = null;
+        clearBatchProgress();
+        return;
+      }
+      if (d.type === 'meetings') {
+        const sameSeries = savedProgress?.seriesName === d.seriesName;
+        savedProgress = {
+          seriesName: d.seriesName,
+          meetings: d.meetings,
+          metadata: sameSeries ? savedProgress.metadata : {},
+          completed: sameSeries ? savedProgress.completed : {}
+        };
+      } else if (!savedProgress) {
+        return;
+      } else if (d.type === 'metadata') {
+        savedProgress.metadata[d.meetingKey] = d.metadata;
+      } else if (d.type === 'result') {
+        savedProgress.completed[d.meetingKey] = d.result;
+      }
+      savedProgress.updatedAt = new Date().toISOString();
+      if (!saveTimer) saveTimer = setTimeout(flushProgress, 1000);
+    };
+    document.addEventListener('teamsBatchTranscriptCheckpoint', checkpointHandler);
+
+    loadBatchProgress().then((progress) => {
+      if (!progress || savedProgress || batchResults) return;
+      savedProgress = progress;
+      updateResumeButton();
+      if (!resumeBtn.hidden) {
+        const done = Object.keys(progress.completed || {}).length;
+        statusEl.textContent = `Saved progress for "${progress.seriesName}": ${done}/${progress.meetings.length} transcripts. Click Resume to continue or Start to begin again.`;
+      }
+    });
+
+    // === Filter step: narrow the run before any meeting is clicked ===
+    const updateFilterCount = () => {
+      const checked = filterMeetings.filter((m) => m.checkbox.checked).length;
+      filterCountEl.textContent = `${checked} of ${filterMeetings.length} selected`;
+      filterCountEl.classList.remove('btp-filter-error');
+    };
+
+    const applyFilter = () => {
+      if (!filterMeetings) return;
+      let filter;
+      try {
+        filter = MeetingFilter.compile({
+          from: filterFromInput.value,
+          to: filterToInput.value,
+          titlePattern: filterTitleInput.value
+        });
+      } catch (err) {
+        filterCountEl.textContent = 'Invalid title pattern';
+        filterCountEl.classList.add('btp-filter-error');
+        return;
+      }
+      filterMeetings.forEach((m) => {
+        m.checkbox.checked = MeetingFilter.matches(m, filter);
+      });
+      updateFilterCount();
+    };
+
+    const renderFilterList = (meetings) => {
+      filterListEl.innerHTML = '';
+      filterMeetings = meetings.map(({ index, text }) => {
+        const date = MeetingFilter.parseDate(text);
+        const label = document.createElement('label');
+        label.className = 'btp-filter-item';
+        const checkbox = document.createElement('input');
+        checkbox.type = 'checkbox';
+        checkbox.checked = true;
+        checkbox.addEventListener('change', updateFilterCount);
+        const name = document.createElement('span');
+        name.textContent = text;
+        const when = document.createElement('span');
+        when.className = 'btp-filter-date';
+        when.textContent = date ? date.toLocaleDateString() : 'date unknown';
+        label.append(checkbox, name, when);
+        filterListEl.appendChild(label);
+        return { index, text, date, checkbox };
+      });
+      applyFilter();
+    };
+
+    // Dropdown indexes of the meetings to process, or null to process the whole series
+    const getSelectedMeetings = () => {
+      if (!filterMeetings || filterEl.hidden) return null;
+      return filterMeetings.filter((m) => m.checkbox.checked).map((m) => m.index);
+    };
+
+    filterToggleBtn.addEventListener('click', async () => {
+      if (filterMeetings) {
+        filterEl.hidden = !filterEl.hidden;
+        return;
+      }
+      filterToggleBtn.disabled = true;
+      startBtn.disabled = true;
+      statusEl.textContent = 'Loading meeting list...';
+      const result = await sendBatchCommand('list', {}, 120000);
+      filterToggleBtn.disabled = false;
+      startBtn.disabled = false;
+      if (!result || result.error) {
+        statusEl.textContent = result?.error || 'No response from batch script. Reload page.';
+        addLog(`Error: ${statusEl.textContent}`, 'error');
+        return;
+      }
+      renderFilterList(result.meetings);
+      filterEl.hidden = false;
+      statusEl.textContent = `${result.meetings.length} meetings in ${result.seriesName}. Narrow the list, then click Start.`;
+    });
+
+    [filterFromInput, filterToInput, filterTitleInput].forEach((input) => input.addEventListener('input', applyFilter));
+    document.getElementById('btp-filter-all').addEventListener('click', () => {
+      filterMeetings?.forEach((m) => { m.checkbox.checked = true; });
+      if (filterMeetings) updateFilterCount();
+    });
+    document.getElementById('btp-filter-none').addEventListener('click', () => {
+      filterMeetings?.forEach((m) => { m.checkbox.checked = false; });
+      if (filterMeetings) updateFilterCount();
+    });
+
     // Helper to download a file
     const downloadFile = (content, filename) => {
       const a = document.createElement('a');
@@ -1495,28 +2405,70 @@ const isTeamsPage = () => {
     // Sanitize text for filenames
     const sanitize = (text) => text.replace(/[<>:"/\\|?*]/g, '-').replace(/\s+/g, ' ').trim().substring(0, 80);
 
+    // Each meeting's own title: its dropdown option text, plus its start time from
+    // the API metadata when several meetings of the series share the same text
+    const getMeetingTitles = (results) => {
+      const counts = new Map();
+      results.forEach((r) => counts.set(r.meetingDate, (counts.get(r.meetingDate) || 0) + 1));
+      return new Map(results.map((r) => {
+        const startTime = getMeetingInfo(r.apiMetadata).startTime;
+        const title = counts.get(r.meetingDate) > 1 && startTime
+          ? `${r.meetingDate} (${new Date(startTime).toLocaleString([], { dateStyle: 'medium', timeStyle: 'short' })})`
+          : r.meetingDate;
+        return [r, title];
+      }));
+    };
+
     // Close
     closeBtn.addEventListener('click', () => {
       sendBatchCommand('cancel');
+      if (saveTimer) flushProgress();
       document.removeEventListener('teamsBatchTranscriptProgress', progressHandler);
+      document.removeEventListener('teamsBatchTranscriptCheckpoint', checkpointHandler);
       panel.remove();
       batchPanelOpen = false;
     });
 
-    // Start
-    startBtn.addEventListener('click', async () => {
+    // Start (resumeState = saved checkpoint to continue from)
+    const runBatch = async (resumeState = null) => {
+      // Without a filter, a resumed run sticks to the meetings it started with (the batch script reads resumeState.meetings)
+      const selected = getSelectedMeetings();
+      if (selected && selected.length === 0) {
+        statusEl.textContent = 'No meetings selected.';
+        return;
+      }
+
       startBtn.disabled = true;
+      filterToggleBtn.disabled = true;
+      resumeBtn.disabled = true;
       cancelBtn.disabled = false;
       downloadVttBtn.disabled = true;
       downloadTxtBtn.disabled = true;
+      downloadReadableBtn.disabled = true;
+      analyticsBtn.disabled = true;
+      openViewerBtn.disabled = true;
+      compareBtn.disabled = true;
+      downloadSrtBtn.disabled = true;
+      downloadDocxBtn.disabled = true;
+      downloadZipBtn.disabled = true;
       logEl.innerHTML = '';
       batchResults = null;
 
-      addLog('Starting batch extraction...');
-      const result = await sendBatchCommand('start');
+      if (resumeState) {
+        addLog(`Resuming batch extraction for ${resumeState.seriesName}...`);
+      } else {
+        savedProgress = null;
+        clearBatchProgress();
+        addLog('Starting batch extraction...');
+      }
+      const result = await sendBatchCommand('start', { resumeState, selected });
 
       startBtn.disabled = false;
+      filterToggleBtn.disabled = false;
+      resumeBtn.disabled = false;
       cancelBtn.disabled = true;
+      if (saveTimer) flushProgress();
+      updateResumeButton();
 
       if (!result) {
         statusEl.textContent = 'No response from batch script. Reload page.';
@@ -1532,9 +2484,36 @@ const isTeamsPage = () => {
         batchResults = result;
         progressEl.style.width = '100%';
         const withTranscript = result.results.filter((r) => r.hasTranscript);
+        // Speaker-paragraph version of each transcript alongside vtt/txt
+        const sectionBreakSeconds = await loadSectionBreakSeconds();
+        withTranscript.forEach((r) => {
+          r.readable = TranscriptFormatter.buildReadableTranscript(getTranscriptEntries(r), { sectionBreakSeconds });
+        });
+        // Key terms are weighed against the rest of the series
+        batchSummaries = new Map();
+        if (await loadIncludeSummary()) {
+          const insights = TranscriptInsights.analyzeSeries(withTranscript.map((r) => ({ label: r.meetingDate, entries: getTranscriptEntries(r) })));
+          withTranscript.forEach((r, i) => {
+            const streamUrl = TranscriptFormatter.buildStreamUrl(getMeetingInfo(r.apiMetadata).recordingUrl);
+            batchSummaries.set(r, TranscriptInsights.toText(insights[i], { streamUrl }));
+          });
+          addLog(`Added summaries to ${withTranscript.length} TXT and readable transcripts`);
+        }
         downloadVttBtn.disabled = withTranscript.length === 0;
         downloadTxtBtn.disabled = withTranscript.length === 0;
+        downloadReadableBtn.disabled = withTranscript.length === 0;
+        analyticsBtn.disabled = withTranscript.length === 0;
+        openViewerBtn.disabled = withTranscript.length === 0;
+        compareBtn.disabled = withTranscript.length < 2;
+        downloadSrtBtn.disabled = withTranscript.length === 0;
+        downloadDocxBtn.disabled = withTranscript.length === 0;
+        downloadZipBtn.disabled = withTranscript.length === 0;
       }
+    };
+
+    startBtn.addEventListener('click', () => runBatch());
+    resumeBtn.addEventListener('click', () => {
+      if (savedProgress) runBatch(savedProgress);
     });
 
     // Cancel
@@ -1563,10 +2542,451 @@ const isTeamsPage = () => {
       const series = sanitize(batchResults.seriesName);
       withTranscript.forEach((r) => {
         const date = sanitize(r.meetingDate);
-        downloadFile(r.txt, `${series} - ${date}.txt`);
+        downloadFile((batchSummaries.get(r) || '') + r.txt, `${series} - ${date}.txt`);
       });
       addLog(`Downloaded ${withTranscript.length} TXT files`);
     });
+
+    // Download all readable (speaker paragraphs)
+    downloadReadableBtn.addEventListener('click', () => {
+      if (!batchResults) return;
+      const withTranscript = batchResults.results.filter((r) => r.hasTranscript);
+      const series = sanitize(batchResults.seriesName);
+      withTranscript.forEach((r) => {
+        const date = sanitize(r.meetingDate);
+        downloadFile((batchSummaries.get(r) || '') + r.readable, `${series} - ${date} (readable).txt`);
+      });
+      addLog(`Downloaded ${withTranscript.length} readable transcripts`);
+    });
+
+    // Speaker analytics across the series
+    analyticsBtn.addEventListener('click', () => {
+      if (!batchResults) return;
+      const titles = getMeetingTitles(batchResults.results);
+      const meetings = batchResults.results
+        .filter((r) => r.hasTranscript)
+        .map((r) => ({ label: titles.get(r), entries: getTranscriptEntries(r) }));
+      setupTranscriptAnalyticsPanel(meetings, { title: batchResults.seriesName });
+    });
+
+    // Compare two meetings of the series
+    compareBtn.addEventListener('click', () => {
+      if (!batchResults) return;
+      const titles = getMeetingTitles(batchResults.results);
+      const meetings = batchResults.results
+        .filter((r) => r.hasTranscript)
+        .map((r) => ({ label: titles.get(r), entries: getTranscriptEntries(r) }));
+      setupTranscriptComparePanel(meetings, { title: batchResults.seriesName });
+    });
+
+    // Send every transcript in the series to the results viewer
+    openViewerBtn.addEventListener('click', async () => {
+      if (!batchResults) return;
+      const transcripts = batchResults.results
+        .filter((r) => r.hasTranscript)
+        .map((r) => ({
+          title: `${batchResults.seriesName} - ${r.meetingDate}`,
+          entries: getTranscriptEntries(r),
+          streamUrl: TranscriptFormatter.buildStreamUrl(getMeetingInfo(r.apiMetadata).recordingUrl),
+          source: r.source || 'batch'
+        }));
+      const response = await openTranscriptsInViewer(transcripts);
+      addLog(response ? `Sent ${response.count} transcripts to the viewer` : 'Could not open the viewer', response ? 'success' : 'error');
+    });
+
+    // Download all SRT
+    downloadSrtBtn.addEventListener('click', () => {
+      if (!batchResults) return;
+      const withTranscript = batchResults.results.filter((r) => r.hasTranscript);
+      const series = sanitize(batchResults.seriesName);
+      withTranscript.forEach((r) => {
+        const date = sanitize(r.meetingDate);
+        downloadFile(TranscriptFormatter.buildSrt(getTranscriptEntries(r)), `${series} - ${date}.srt`);
+      });
+      addLog(`Downloaded ${withTranscript.length} SRT files`);
+    });
+
+    // Download all DOCX
+    downloadDocxBtn.addEventListener('click', () => {
+      if (!batchResults) return;
+      const withTranscript = batchResults.results.filter((r) => r.hasTranscript);
+      const series = sanitize(batchResults.seriesName);
+      withTranscript.forEach((r) => {
+        const date = sanitize(r.meetingDate);
+        const docx = TranscriptFormatter.buildDocx(getTranscriptEntries(r), { title: `${batchResults.seriesName} - ${r.meetingDate}` });
+        downloadBlob(docx, `${series} - ${date}.docx`);
+      });
+      addLog(`Downloaded ${withTranscript.length} DOCX files`);
+    });
+
+    // One file per meeting in the chosen format, bundled in a ZIP with a manifest.json
+    downloadZipBtn.addEventListener('click', async () => {
+      if (!batchResults) return;
+      const format = zipFormatSelect.value;
+      const extension = format === 'readable' ? 'txt' : format;
+      const series = sanitize(batchResults.seriesName);
+      const zip = new ZipBuilder();
+      const usedNames = new Set();
+      const meetings = [];
+      const titles = getMeetingTitles(batchResults.results);
+
+      downloadZipBtn.disabled = true;
+      try {
+        for (const r of batchResults.results) {
+          const startTime = getMeetingInfo(r.apiMetadata).startTime || null;
+          const meeting = {
+            title: titles.get(r),
+            meetingDate: r.meetingDate,
+            startTime,
+            hasTranscript: !!r.hasTranscript,
+            entryCount: r.entryCount || 0,
+            source: r.source,
+            file: null
+          };
+          meetings.push(meeting);
+          if (!r.hasTranscript) continue;
+
+          // Named from the option text, prefixed with the ISO date when the API metadata has it
+          const baseName = sanitize(startTime ? `${startTime.slice(0, 10)} ${r.meetingDate}` : r.meetingDate);
+          let fileName = `${baseName}.${extension}`;
+          for (let n = 2; usedNames.has(fileName.toLowerCase()); n++) {
+            fileName = `${baseName} (${n}).${extension}`;
+          }
+          usedNames.add(fileName.toLowerCase());
+          meeting.file = fileName;
+
+          const entries = getTranscriptEntries(r);
+          if (format === 'vtt') {
+            zip.addFile(fileName, r.vtt);
+          } else if (format === 'txt') {
+            zip.addFile(fileName, (batchSummaries.get(r) || '') + r.txt);
+          } else if (format === 'readable') {
+            zip.addFile(fileName, (batchSummaries.get(r) || '') + r.readable);
+          } else if (format === 'srt') {
+            zip.addFile(fileName, TranscriptFormatter.buildSrt(entries));
+          } else {
+            const docx = TranscriptFormatter.buildDocx(entries, { title: `${batchResults.seriesName} - ${r.meetingDate}` });
+            zip.addFile(fileName, await docx.arrayBuffer());
+          }
+        }
+
+        zip.addFile('manifest.json', JSON.stringify({
+          seriesName: batchResults.seriesName,
+          format,
+          exportedAt: new Date().toISOString(),
+          meetingCount: meetings.length,
+          transcriptCount: meetings.filter((m) => m.hasTranscript).length,
+          meetings
+        }, null, 2));
+
+        downloadBlob(zip.build(), `${series} - transcripts (${format}).zip`);
+        addLog(`Downloaded ZIP with ${usedNames.size} ${format.toUpperCase()} files and manifest.json`, 'success');
+      } catch (err) {
+        addLog(`ZIP export failed: ${err.message}`, 'error');
+      } finally {
+        downloadZipBtn.disabled = false;
+      }
+    });
+  };
+
+  // === TRANSCRIPT ANALYTICS PANEL ===
+
+  // meetings is [{ label, entries }]; with more than one, an "All meetings" aggregate is shown first
+  const setupTranscriptAnalyticsPanel = (meetings, { title = 'Meeting' } = {}) => {
+    document.getElementById('transcript-analytics-panel')?.remove();
+
+    const scopes = meetings.map((m) => ({ scope: m.label, result: TranscriptAnalytics.analyze(m.entries) }));
+    if (meetings.length > 1) {
+      scopes.unshift({ scope: `All meetings (${meetings.length})`, result: TranscriptAnalytics.aggregate(meetings) });
+    }
+
+    const panel = document.createElement('div');
+    panel.id = 'transcript-analytics-panel';
+    panel.innerHTML = `
+      <div class="tap-header">
+        <span>Speaker Analytics</span>
+        <button class="tap-close" id="tap-close">\u00D7</button>
+      </div>
+      <div class="tap-title" id="tap-title"></div>
+      <select class="tap-scope" id="tap-scope"></select>
+      <div class="tap-summary" id="tap-summary"></div>
+      <div class="tap-table-wrap">
+        <table class="tap-table">
+          <thead>
+            <tr><th>Speaker</th><th>Talk</th><th>Share</th><th>Turns</th><th>WPM</th><th>Longest</th></tr>
+          </thead>
+          <tbody id="tap-rows"></tbody>
+        </table>
+      </div>
+      <div class="tap-buttons">
+        <button class="tap-btn" id="tap-csv">Download CSV</button>
+      </div>
+    `;
+    document.body.appendChild(panel);
+
+    const scopeSelect = document.getElementById('tap-scope');
+    const summaryEl = document.getElementById('tap-summary');
+    const rowsEl = document.getElementById('tap-rows');
+    document.getElementById('tap-title').textContent = title;
+
+    scopes.forEach((s, i) => {
+      const option = document.createElement('option');
+      option.value = String(i);
+      option.textContent = s.scope;
+      scopeSelect.appendChild(option);
+    });
+    scopeSelect.style.display = scopes.length > 1 ? '' : 'none';
+
+    const render = () => {
+      const { result } = scopes[parseInt(scopeSelect.value, 10) || 0];
+      const meetingNote = result.meetingCount ? `${result.meetingCount} meetings, ` : '';
+      summaryEl.textContent = `${meetingNote}${TranscriptFormatter.formatDuration(result.durationSeconds)} recorded, ${TranscriptFormatter.formatDuration(result.talkSeconds)} of speech, ${result.speakers.length} speakers`;
+
+      rowsEl.innerHTML = '';
+      result.speakers.forEach((speaker) => {
+        const row = document.createElement('tr');
+        const longestAt = speaker.longestMonologueMeeting
+          ? `${speaker.longestMonologueMeeting} at ${TranscriptFormatter.formatTimestamp(speaker.longestMonologueStart).split('.')[0]}`
+          : `at ${TranscriptFormatter.formatTimestamp(speaker.longestMonologueStart).split('.')[0]}`;
+        [
+          speaker.speaker,
+          TranscriptFormatter.formatDuration(speaker.talkSeconds),
+          `${(speaker.talkShare * 100).toFixed(0)}%`,
+          String(speaker.turns),
+          String(Math.round(speaker.wordsPerMinute)),
+          TranscriptFormatter.formatDuration(speaker.longestMonologueSeconds)
+        ].forEach((value, i) => {
+          const cell = document.createElement('td');
+          cell.textContent = value;
+          if (i === 5) cell.title = longestAt;
+          row.appendChild(cell);
+        });
+        rowsEl.appendChild(row);
+      });
+    };
+
+    scopeSelect.addEventListener('change', render);
+    render();
+
+    document.getElementById('tap-close').addEventListener('click', () => panel.remove());
+    document.getElementById('tap-csv').addEventListener('click', () => {
+      const safeTitle = title.replace(/[<>:"/\\|?*]/g, '-').replace(/\s+/g, ' ').trim().substring(0, 80) || 'transcript';
+      downloadFile(TranscriptAnalytics.toCsv(scopes), `${safeTitle} - speaker analytics.csv`);
+    });
+  };
+
+  // === TRANSCRIPT COMPARE PANEL ===
+
+  // meetings is [{ label, entries }] in dropdown order (newest first)
+  const setupTranscriptComparePanel = (meetings, { title = 'Meeting' } = {}) => {
+    document.getElementById('transcript-compare-panel')?.remove();
+
+    const panel = document.createElement('div');
+    panel.id = 'transcript-compare-panel';
+    panel.innerHTML = `
+      <div class="tcp-header">
+        <span>Compare Meetings</span>
+        <button class="tcp-close" id="tcp-close">\u00D7</button>
+      </div>
+      <div class="tcp-title" id="tcp-title"></div>
+      <label class="tcp-label">Earlier <select class="tcp-select" id="tcp-before"></select></label>
+      <label class="tcp-label">Later <select class="tcp-select" id="tcp-after"></select></label>
+      <div class="tcp-summary" id="tcp-summary"></div>
+      <div class="tcp-section-title">New terms</div>
+      <div class="tcp-chips" id="tcp-new-terms"></div>
+      <div class="tcp-section-title">Recurring sentences</div>
+      <div class="tcp-recurring" id="tcp-recurring"></div>
+      <div class="tcp-buttons">
+        <button class="tcp-btn" id="tcp-html">Download HTML</button>
+      </div>
+    `;
+    document.body.appendChild(panel);
+
+    const beforeSelect = document.getElementById('tcp-before');
+    const afterSelect = document.getElementById('tcp-after');
+    const summaryEl = document.getElementById('tcp-summary');
+    const termsEl = document.getElementById('tcp-new-terms');
+    const recurringEl = document.getElementById('tcp-recurring');
+    document.getElementById('tcp-title').textContent = title;
+
+    meetings.forEach((m, i) => {
+      [beforeSelect, afterSelect].forEach((select) => {
+        const option = document.createElement('option');
+        option.value = String(i);
+        option.textContent = m.label;
+        select.appendChild(option);
+      });
+    });
+    afterSelect.value = '0';
+    beforeSelect.value = meetings.length > 1 ? '1' : '0';
+
+    let diff = null;
+    const render = () => {
+      const before = meetings[parseInt(beforeSelect.value, 10) || 0];
+      const after = meetings[parseInt(afterSelect.value, 10) || 0];
+      diff = TranscriptDiff.compare(before, after);
+
+      const names = (list) => (list.length > 0 ? list.join(', ') : 'none');
+      summaryEl.textContent = `Joined: ${names(diff.speakers.joined)}. Dropped: ${names(diff.speakers.dropped)}. `
+        + `${diff.newTerms.length} new terms, ${diff.recurring.length} recurring sentences.`;
+
+      termsEl.innerHTML = '';
+      diff.newTerms.forEach(({ term, count }) => {
+        const chip = document.createElement('span');
+        chip.className = 'tcp-chip';
+        chip.textContent = count > 1 ? `${term} (${count})` : term;
+        termsEl.appendChild(chip);
+      });
+      if (diff.newTerms.length === 0) termsEl.textContent = 'None';
+
+      recurringEl.innerHTML = '';
+      diff.recurring.forEach((item) => {
+        const line = document.createElement('div');
+        line.className = 'tcp-line';
+        line.textContent = `${item.speakers.join(', ')}: ${item.text}`;
+        recurringEl.appendChild(line);
+      });
+      if (diff.recurring.length === 0) recurringEl.textContent = 'None';
+    };
+
+    beforeSelect.addEventListener('change', render);
+    afterSelect.addEventListener('change', render);
+    render();
+
+    document.getElementById('tcp-close').addEventListener('click', () => panel.remove());
+    document.getElementById('tcp-html').addEventListener('click', () => {
+      const after = meetings[parseInt(afterSelect.value, 10) || 0];
+      const heading = `${title}: ${diff.before.label} vs ${diff.after.label}`;
+      const safeTitle = heading.replace(/[<>:"/\\|?*]/g, '-').replace(/\s+/g, ' ').trim().substring(0, 80) || 'transcript';
+      downloadBlob(new Blob([TranscriptDiff.toHtml(diff, { title: heading, afterEntries: after.entries })], { type: 'text/html' }), `${safeTitle} - comparison.html`);
+    });
+  };
+
+  // === EXPORT ALL CHATS PANEL ===
+
+  let chatExportPanelOpen = false;
+
+  const setupChatExportPanel = () => {
+    if (chatExportPanelOpen || document.getElementById('chat-export-panel')) {
+      return;
+    }
+    chatExportPanelOpen = true;
+
+    const panel = document.createElement('div');
+    panel.id = 'chat-export-panel';
+    panel.innerHTML = `
+      <div class="cep-header">
+        <span>Export All Chats</span>
+        <button class="cep-close" id="cep-close">\u00D7</button>
+      </div>
+      <div class="cep-stats">
+        <div>Conversations: <span id="cep-total">--</span></div>
+        <div>Exported: <span id="cep-exported">0</span></div>
+        <div>Progress: <span id="cep-current">0</span> / <span id="cep-total2">--</span></div>
+      </div>
+      <div class="cep-progress">
+        <div class="cep-progress-fill" id="cep-progress-fill"></div>
+      </div>
+      <div class="cep-status" id="cep-status">Listing conversations...</div>
+      <div class="cep-log" id="cep-log"></div>
+      <div class="cep-buttons">
+        <button class="cep-btn cep-cancel" id="cep-cancel">Cancel</button>
+      </div>
+    `;
+
+    document.body.appendChild(panel);
+
+    const closeBtn = document.getElementById('cep-close');
+    const cancelBtn = document.getElementById('cep-cancel');
+    const totalEl = document.getElementById('cep-total');
+    const total2El = document.getElementById('cep-total2');
+    const exportedEl = document.getElementById('cep-exported');
+    const currentEl = document.getElementById('cep-current');
+    const progressEl = document.getElementById('cep-progress-fill');
+    const statusEl = document.getElementById('cep-status');
+    const logEl = document.getElementById('cep-log');
+
+    let exportedCount = 0;
+    // Closing the panel abandons the export: nothing is sent to the viewer afterwards
+    let dismissed = false;
+
+    const addLog = (text, type = 'info') => {
+      const line = document.createElement('div');
+      line.className = `cep-log-line cep-log-${type}`;
+      line.textContent = text;
+      logEl.appendChild(line);
+      logEl.scrollTop = logEl.scrollHeight;
+    };
+
+    const onProgress = (d) => {
+      if (d.message) statusEl.textContent = d.message;
+      if (d.total !== undefined) {
+        totalEl.textContent = d.total;
+        total2El.textContent = d.total;
+      }
+      if (d.current) {
+        currentEl.textContent = d.current;
+        progressEl.style.width = `${Math.min((d.current / d.total) * 100, 100)}%`;
+      }
+
+      if (d.phase === 'fetched') {
+        exportedCount++;
+        exportedEl.textContent = exportedCount;
+        addLog(`${d.name}: ${d.count} messages`, 'success');
+      } else if (d.phase === 'uptodate') {
+        addLog(`${d.name}: up to date`, 'info');
+      } else if (d.phase === 'empty') {
+        addLog(`${d.name}: no messages`, 'warn');
+      } else if (d.phase === 'error') {
+        addLog(`${d.name}: ${d.message}`, 'error');
+      }
+    };
+
+    closeBtn.addEventListener('click', () => {
+      dismissed = true;
+      extractionEngine.cancelExtraction();
+      panel.remove();
+      chatExportPanelOpen = false;
+    });
+
+    cancelBtn.addEventListener('click', () => {
+      extractionEngine.cancelExtraction();
+      cancelBtn.disabled = true;
+      addLog('Cancelling after the current conversation...', 'warn');
+    });
+
+    (async () => {
+      try {
+        const result = await extractionEngine.extractAllChats({ onProgress });
+        cancelBtn.disabled = true;
+        if (dismissed) return;
+
+        if (result.total === 0) {
+          statusEl.textContent = 'No conversations found. Open the Chat tab and try again.';
+          addLog('No conversations found', 'error');
+          return;
+        }
+        const conversationCount = Object.keys(result.conversations).length;
+        if (conversationCount === 0) {
+          addLog('No messages were exported', 'error');
+          return;
+        }
+
+        progressEl.style.width = '100%';
+        addLog(`Opening results with ${conversationCount} conversations...`, 'success');
+        await chrome.runtime.sendMessage({
+          action: 'openResults',
+          data: result.conversations,
+          conversationIds: result.conversationIds
+        });
+      } catch (error) {
+        console.error('Error extracting all chats:', error);
+        if (dismissed) return;
+        statusEl.textContent = `Export failed: ${error.message}`;
+        addLog(`Error: ${error.message}`, 'error');
+        cancelBtn.disabled = true;
+      }
+    })();
   };
 
   // Inject toolbar buttons into Teams native UI
@@ -1,5 +1,6 @@
 document.addEventListener('DOMContentLoaded', () => {
   const extractActiveChatBtn = document.getElementById('extractActiveChatBtn');
+  const extractAllChatsBtn = document.getElementById('extractAllChatsBtn');
   const openResultsBtn = document.getElementById('openResultsBtn');
   const currentChatEl = document.getElementById('currentChat');
 
@@ -9,6 +10,9 @@ document.addEventListener('DOMContentLoaded', () => {
   const copyTranscriptBtn = document.getElementById('copyTranscriptBtn');
   const downloadVttBtn = document.getElementById('downloadVttBtn');
   const downloadTxtBtn = document.getElementById('downloadTxtBtn');
+  const downloadReadableBtn = document.getElementById('downloadReadableBtn');
+  const downloadSrtBtn = document.getElementById('downloadSrtBtn');
+  const downloadDocxBtn = document.getElementById('downloadDocxBtn');
 
   // Load current chat name from content script
   const loadCurrentState = () => {
@@ -43,6 +47,20 @@ document.addEventListener('DOMContentLoaded', () => {
     });
   });
 
+  // Export every chat - progress and cancel are shown in an on-page panel
+  extractAllChatsBtn.addEventListener('click', () => {
+    chrome.tabs.query({active: true, currentWindow: true}, (tabs) => {
+      if (tabs[0] && (tabs[0].url.includes("teams.microsoft.com") || tabs[0].url.includes("teams.cloud.microsoft"))) {
+        extractAllChatsBtn.textContent = "Starting...";
+        extractAllChatsBtn.disabled = true;
+        chrome.tabs.sendMessage(tabs[0].id, {action: "extractAllChats"});
+        setTimeout(() => window.close(), 500);
+      } else {
+        alert("Please navigate to Teams to use this extension.");
+      }
+    });
+  });
+
   // Open results viewer
   openResultsBtn.addEventListener('click', () => {
     chrome.tabs.create({url: chrome.runtime.getURL("results.html")});
@@ -72,6 +90,9 @@ document.addEventListener('DOMContentLoaded', () => {
               copyTranscriptBtn.disabled = false;
               downloadVttBtn.disabled = false;
               downloadTxtBtn.disabled = false;
+              downloadReadableBtn.disabled = false;
+              downloadSrtBtn.disabled = false;
+              downloadDocxBtn.disabled = false;
             } else {
               transcriptStatus.textContent = 'Start playback to load transcript';
               transcriptStatus.style.backgroundColor = '#fff3cd';
@@ -79,6 +100,9 @@ document.addEventListener('DOMContentLoaded', () => {
               copyTranscriptBtn.disabled = true;
               downloadVttBtn.disabled = true;
               downloadTxtBtn.disabled = true;
+              downloadReadableBtn.disabled = true;
+              downloadSrtBtn.disabled = true;
+              downloadDocxBtn.disabled = true;
             }
           } else {
             transcriptSection.style.display = 'none';
@@ -155,6 +179,72 @@ document.addEventListener('DOMContentLoaded', () => {
     });
   });
 
+  // Download readable TXT button (speaker paragraphs)
+  downloadReadableBtn.addEventListener('click', () => {
+    chrome.tabs.query({active: true, currentWindow: true}, (tabs) => {
+      if (tabs[0]) {
+        chrome.tabs.sendMessage(tabs[0].id, {action: 'extractTranscript'}, (response) => {
+          if (chrome.runtime.lastError || !response || !response.success) {
+            alert(response?.error || 'Failed to get transcript');
+            return;
+          }
+          // Create download link
+          const blob = new Blob([response.readable], {type: 'text/plain;charset=utf-8'});
+          const url = URL.createObjectURL(blob);
+          const a = document.createElement('a');
+          a.href = url;
+          a.download = `transcript-${response.title}-readable.txt`;
+          a.click();
+          URL.revokeObjectURL(url);
+        });
+      }
+    });
+  });
+
+  // Download SRT button
+  downloadSrtBtn.addEventListener('click', () => {
+    chrome.tabs.query({active: true, currentWindow: true}, (tabs) => {
+      if (tabs[0]) {
+        chrome.tabs.sendMessage(tabs[0].id, {action: 'extractTranscript'}, (response) => {
+          if (chrome.runtime.lastError || !response || !response.success) {
+            alert(response?.error || 'Failed to get transcript');
+            return;
+          }
+          // Create download link
+          const blob = new Blob([response.srt], {type: 'application/x-subrip;charset=utf-8'});
+          const url = URL.createObjectURL(blob);
+          const a = document.createElement('a');
+          a.href = url;
+          a.download = `transcript-${response.title}.srt`;
+          a.click();
+          URL.revokeObjectURL(url);
+        });
+      }
+    });
+  });
+
+  // Download DOCX button (built here from the transcript entries)
+  downloadDocxBtn.addEventListener('click', () => {
+    chrome.tabs.query({active: true, currentWindow: true}, (tabs) => {
+      if (tabs[0]) {
+        chrome.tabs.sendMessage(tabs[0].id, {action: 'extractTranscript'}, async (response) => {
+          if (chrome.runtime.lastError || !response || !response.success) {
+            alert(response?.error || 'Failed to get transcript');
+            return;
+          }
+          const { TranscriptFormatter } = await import(chrome.runtime.getURL('src/modules/transcriptFormatter.js'));
+          const blob = TranscriptFormatter.buildDocx(response.entries || [], { title: response.title || 'Transcript' });
+          const url = URL.createObjectURL(blob);
+          const a = document.createElement('a');
+          a.href = url;
+          a.download = `transcript-${response.title}.docx`;
+          a.click();
+          URL.revokeObjectURL(url);
+        });
+      }
+    });
+  });
+
   // Batch transcript button - sends message to open the batch panel on the page
   batchTranscriptBtn.addEventListener('click', () => {
     chrome.tabs.query({active: true, currentWindow: true}, (tabs) => {
@@ -203,6 +293,12 @@ document.addEventListener('DOMContentLoaded', () => {
   const maxPagesInput = document.getElementById('maxPages');
   const maxMessagesInfo = document.getElementById('maxMessagesInfo');
   const maxModeToggle = document.getElementById('maxModeToggle');
+  const dateFromInput = document.getElementById('dateFrom');
+  const dateToInput = document.getElementById('dateTo');
+  const dateRangeInfo = document.getElementById('dateRangeInfo');
+  const sectionBreakInput = document.getElementById('sectionBreak');
+  const transcriptSummaryToggle = document.getElementById('transcriptSummaryToggle');
+  const videoCaptionsToggle = document.getElementById('videoCaptionsToggle');
 
   // Toggle settings section
   settingsHeader.addEventListener('click', () => {
@@ -226,13 +322,60 @@ document.addEventListener('DOMContentLoaded', () => {
     maxModeToggle.classList.toggle('active', isMaxMode);
   };
 
+  // Date inputs hold local YYYY-MM-DD; storage holds epoch ms (start of "from" day, end of "to" day)
+  const toDateInputValue = (ms) => {
+    if (!ms) return '';
+    const d = new Date(ms);
+    return `${d.getFullYear()}-${String(d.getMonth() + 1).padStart(2, '0')}-${String(d.getDate()).padStart(2, '0')}`;
+  };
+
+  const updateDateRangeInfo = () => {
+    const from = dateFromInput.value;
+    const to = dateToInput.value;
+    if (from && to) {
+      dateRangeInfo.textContent = `${from} to ${to}`;
+    } else if (from) {
+      dateRangeInfo.textContent = `From ${from}`;
+    } else if (to) {
+      dateRangeInfo.textContent = `Until ${to}`;
+    } else {
+      dateRangeInfo.textContent = 'All dates';
+    }
+  };
+
+  const saveDateRange = () => {
+    let startMs = dateFromInput.value ? new Date(`${dateFromInput.value}T00:00:00`).getTime() : null;
+    let endMs = dateToInput.value ? new Date(`${dateToInput.value}T23:59:59.999`).getTime() : null;
+
+    // Swap a reversed range instead of producing an empty export
+    if (startMs && endMs && startMs > endMs) {
+      [dateFromInput.value, dateToInput.value] = [dateToInput.value, dateFromInput.value];
+      startMs = new Date(`${dateFromInput.value}T00:00:00`).getTime();
+      endMs = new Date(`${dateToInput.value}T23:59:59.999`).getTime();
+    }
+
+    const toRemove = [];
+    const toSet = {};
+    if (startMs) toSet.teamsChatApiStartTime = startMs; else toRemove.push('teamsChatApiStartTime');
+    if (endMs) toSet.teamsChatApiEndTime = endMs; else toRemove.push('teamsChatApiEndTime');
+    chrome.storage.local.set(toSet);
+    if (toRemove.length) chrome.storage.local.remove(toRemove);
+    updateDateRangeInfo();
+  };
+
   // Load saved settings
   const loadSettings = () => {
-    chrome.storage.local.get(['teamsChatApiPageSize', 'teamsChatApiMaxPages'], (result) => {
+    chrome.storage.local.get(['teamsChatApiPageSize', 'teamsChatApiMaxPages', 'teamsChatApiStartTime', 'teamsChatApiEndTime', 'transcriptSectionBreakSeconds', 'transcriptIncludeSummary', 'videoEmbedCaptions'], (result) => {
       pageSizeInput.value = result.teamsChatApiPageSize || 200;
       maxPagesInput.value = result.teamsChatApiMaxPages || 15;
+      dateFromInput.value = result.teamsChatApiStartTime > 1 ? toDateInputValue(result.teamsChatApiStartTime) : '';
+      dateToInput.value = toDateInputValue(result.teamsChatApiEndTime);
+      sectionBreakInput.value = result.transcriptSectionBreakSeconds || 0;
+      transcriptSummaryToggle.classList.toggle('active', result.transcriptIncludeSummary === true);
+      videoCaptionsToggle.classList.toggle('active', result.videoEmbedCaptions === true);
       updateMaxMessages();
       updateMaxModeState();
+      updateDateRangeInfo();
     });
   };
 
@@ -268,6 +411,26 @@ document.addEventListener('DOMContentLoaded', () => {
     saveSettings();
   });
 
+  sectionBreakInput.addEventListener('change', () => {
+    const seconds = Math.max(0, Math.min(3600, parseInt(sectionBreakInput.value, 10) || 0));
+    sectionBreakInput.value = seconds;
+    chrome.storage.local.set({ transcriptSectionBreakSeconds: seconds });
+  });
+
+  transcriptSummaryToggle.addEventListener('click', () => {
+    const enabled = !transcriptSummaryToggle.classList.contains('active');
+    transcriptSummaryToggle.classList.toggle('active', enabled);
+    chrome.storage.local.set({ transcriptIncludeSummary: enabled });
+  });
+
+  videoCaptionsToggle.addEventListener('click', () => {
+    const enabled = !videoCaptionsToggle.classList.contains('active');
+    videoCaptionsToggle.classList.toggle('active', enabled);
+    chrome.storage.local.set({ videoEmbedCaptions: enabled });
+  });
+
+  dateFromInput.addEventListener('change', saveDateRange);
+  dateToInput.addEventListener('change', saveDateRange);
   pageSizeInput.addEventListener('change', saveSettings);
   maxPagesInput.addEventListener('change', saveSettings);
   pageSizeInput.addEventListener('input', () => { updateMaxMessages(); updateMaxModeState(); });
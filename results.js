@@ -3,6 +3,15 @@
  */
 const generateHTMLExport = (conversations) => {
   const timestamp = new Date().toISOString().replace(/[:.]/g, '-').slice(0, -5);
+
+  // Rich message markup is sanitized and channel threads ordered once here;
+  // the exported page renders the messages as-is
+  const exportConversations = {};
+  Object.entries(conversations).forEach(([name, messages]) => {
+    exportConversations[name] = orderMessagesByThread(messages || []).map((msg) => (
+      msg.html ? { ...msg, html: sanitizeMessageHtml(msg.html) } : msg
+    ));
+  });
   
   // Get the current CSS from the page
   const styleContent = `
@@ -205,6 +214,104 @@ body {
 .consecutive-message .message-bubble {
     margin-top: 2px;
 }
+
+/* Rich message formatting (sanitized html field) */
+.thread-replies {
+    margin: -8px 0 15px 40px;
+    padding-left: 12px;
+    border-left: 2px solid #d0d0e8;
+}
+
+.thread-replies > summary {
+    cursor: pointer;
+    font-size: 12px;
+    font-weight: 600;
+    color: #5B5FC5;
+    margin-bottom: 8px;
+}
+
+.message-rich p {
+    margin: 0 0 6px;
+}
+
+.message-rich p:last-child {
+    margin-bottom: 0;
+}
+
+.message-rich ul,
+.message-rich ol {
+    margin: 4px 0;
+    padding-left: 22px;
+}
+
+.message-rich pre {
+    background: rgba(0, 0, 0, 0.06);
+    padding: 8px 10px;
+    border-radius: 4px;
+    overflow-x: auto;
+    white-space: pre-wrap;
+}
+
+.message-rich code {
+    font-family: Consolas, "Courier New", monospace;
+    font-size: 13px;
+}
+
+.message-rich blockquote {
+    border-left: 3px solid #999;
+    margin: 4px 0;
+    padding-left: 10px;
+    color: #555;
+}
+
+.message-rich table {
+    border-collapse: collapse;
+    margin: 4px 0;
+}
+
+.message-rich th,
+.message-rich td {
+    border: 1px solid #ccc;
+    padding: 4px 8px;
+}
+
+.message-rich span[itemtype="http://schema.skype.com/Mention"] {
+    color: #5B5FC5;
+    font-weight: 600;
+}
+
+.sent-message .message-rich a,
+.sent-message .message-rich span[itemtype="http://schema.skype.com/Mention"] {
+    color: white;
+    text-decoration: underline;
+}
+
+.message-attachments {
+    margin-top: 8px;
+    display: flex;
+    flex-direction: column;
+    gap: 4px;
+}
+
+.attachment-item {
+    font-size: 13px;
+    padding: 4px 8px;
+    background: rgba(0, 0, 0, 0.05);
+    border-radius: 4px;
+}
+
+.attachment-item a {
+    color: #5B5FC5;
+    text-decoration: none;
+}
+
+.sent-message .attachment-item {
+    background: rgba(255, 255, 255, 0.15);
+}
+
+.sent-message .attachment-item a {
+    color: rgba(255, 255, 255, 0.95);
+}
 `;
 
   let html = `<!DOCTYPE html>
@@ -397,7 +504,7 @@ body {
   
   <script>
     // Embed the conversation data
-    const allConversations = ${JSON.stringify(conversations)};
+    const allConversations = ${JSON.stringify(exportConversations).replace(/</g, '\\u003c')};
     let currentConversationName = null;
     let currentUser = null;
     let selectedUserOption = null;
@@ -436,13 +543,39 @@ body {
       avatarContainer.style.backgroundColor = avatarData.backgroundColor;
       
       messageList.innerHTML = '';
-      const messages = allConversations[conversationName];
+      let messages = allConversations[conversationName];
       
       if (!messages || messages.length === 0) {
         messageList.innerHTML = '<p style="text-align: center; color: #666;">No messages in this conversation.</p>';
         return;
       }
       
+      // Channel threads (already ordered by orderMessagesByThread): replies render
+      // inside a collapsible block under their root post
+      const isReply = (msg) => msg.threadId && msg.threadId !== msg.id;
+      const rootIds = new Set(messages.filter(msg => !isReply(msg)).map(msg => msg.id));
+      const repliesByThread = new Map();
+      messages.forEach(msg => {
+        if (!isReply(msg)) return;
+        if (!repliesByThread.has(msg.threadId)) repliesByThread.set(msg.threadId, []);
+        repliesByThread.get(msg.threadId).push(msg);
+      });
+      const threadContainers = new Map();
+      const getThreadContainer = (threadId) => {
+        if (!threadContainers.has(threadId)) {
+          const details = document.createElement('details');
+          details.className = 'thread-replies';
+          const summary = document.createElement('summary');
+          const count = repliesByThread.get(threadId).length;
+          summary.textContent = count + (count === 1 ? ' reply' : ' replies') + (rootIds.has(threadId) ? '' : ' (original post not exported)');
+          details.appendChild(summary);
+          messageList.appendChild(details);
+          threadContainers.set(threadId, details);
+        }
+        return threadContainers.get(threadId);
+      };
+      let lastTarget = messageList;
+
       let lastAuthor = null;
       let lastTimestamp = null;
       const TIME_THRESHOLD_MS = 3 * 60 * 1000;
@@ -461,6 +594,14 @@ body {
         const messageContainer = document.createElement('div');
         messageContainer.classList.add('message-container');
 
+        const isThreadReply = !!isReply(msg);
+        const target = isThreadReply ? getThreadContainer(msg.threadId) : messageList;
+        if (target !== lastTarget) {
+          lastAuthor = null;
+          lastTimestamp = null;
+          lastTarget = target;
+        }
+
         const timestampDate = msg.isoTimestamp ? new Date(msg.isoTimestamp) : (msg.timestamp ? new Date(msg.timestamp) : null);
         const timestampMillis = timestampDate && !Number.isNaN(timestampDate.getTime())
           ? timestampDate.getTime()
@@ -478,7 +619,9 @@ body {
             const messageDetails = document.createElement('div');
             messageDetails.classList.add('message-details');
             let detailsText = msg.timestamp ? authorLabel + ' - ' + msg.timestamp : authorLabel;
-            if (msg.edited) {
+            if (msg.deleted) {
+              detailsText += ' (deleted)';
+            } else if (msg.edited) {
               detailsText += ' (edited)';
             }
             messageDetails.textContent = detailsText;
@@ -505,7 +648,7 @@ body {
         }
 
         // Add reply preview if present
-        if (msg.replyTo && msg.replyTo.text) {
+        if (msg.replyTo && msg.replyTo.text && !(isThreadReply && msg.replyTo.id === msg.threadId)) {
           const replyDiv = document.createElement('div');
           replyDiv.className = 'reply-preview';
           replyDiv.style.cssText = 'background: rgba(0,0,0,0.05); border-left: 3px solid #999; padding: 6px 10px; margin-bottom: 8px; border-radius: 4px; font-size: 13px;';
@@ -526,10 +669,39 @@ body {
         if (!messageBody && (!Array.isArray(msg.attachments) || msg.attachments.length === 0)) {
           return;
         }
-        messageText.textContent = messageBody;
+        // html was sanitized when the export was generated
+        if (msg.html) {
+          messageText.className = 'message-rich';
+          messageText.innerHTML = msg.html;
+        } else {
+          messageText.textContent = messageBody;
+        }
 
         messageBubble.appendChild(messageText);
 
+        // Add attachments (relative files/ links when exported with attachments)
+        if (msg.attachments && msg.attachments.length > 0) {
+          const attachmentsDiv = document.createElement('div');
+          attachmentsDiv.className = 'message-attachments';
+          msg.attachments.forEach(att => {
+            const attEl = document.createElement('div');
+            attEl.className = 'attachment-item';
+            const label = att.name || att.label || att.text || 'Attachment';
+            if (att.href && (/^https?:/i.test(att.href) || att.href.indexOf('files/') === 0)) {
+              const link = document.createElement('a');
+              link.href = att.href;
+              link.target = '_blank';
+              link.rel = 'noopener';
+              link.textContent = label;
+              attEl.appendChild(link);
+            } else {
+              attEl.textContent = label;
+            }
+            attachmentsDiv.appendChild(attEl);
+          });
+          messageBubble.appendChild(attachmentsDiv);
+        }
+
         // Add embedded images if present
         if (msg.embeddedImages && msg.embeddedImages.length > 0) {
           const imagesDiv = document.createElement('div');
@@ -563,7 +735,7 @@ body {
         }
 
         messageContainer.appendChild(messageBubble);
-        messageList.appendChild(messageContainer);
+        target.appendChild(messageContainer);
 
         if (isSystemMessage) {
           lastAuthor = null;
@@ -752,11 +924,25 @@ const escapeHtml = (text) => {
   return text.replace(/[&<>"']/g, m => map[m]);
 };
 
+/**
+ * Sanitizes a message's rich `html` field before it is rendered, with the same
+ * allowlist the extractor uses (src/modules/htmlSanitizer.js). Until that module
+ * has loaded this returns '' and messages render as plain text.
+ */
+let HtmlSanitizer = null;
+const htmlSanitizerModule = import(chrome.runtime.getURL('src/modules/htmlSanitizer.js')).then((module) => {
+  HtmlSanitizer = module.HtmlSanitizer;
+}).catch((error) => {
+  console.error('Failed to load the HTML sanitizer:', error);
+});
+
+const sanitizeMessageHtml = (html) => (html && HtmlSanitizer ? HtmlSanitizer.sanitize(html) : '');
+
 /**
  * Generates CSV export of conversations
  */
 const generateCSVExport = (conversations) => {
-  const headers = ['conversation', 'id', 'author', 'timestamp', 'text', 'edited', 'reactions_json', 'attachments_json', 'images_json', 'reply_to_json'];
+  const headers = ['conversation', 'id', 'author', 'timestamp', 'text', 'edited', 'reactions_json', 'attachments_json', 'images_json', 'reply_to_json', 'mentions_json', 'edited_at', 'deleted', 'history_json'];
   const rows = [headers.join(',')];
 
   Object.entries(conversations).forEach(([name, messages]) => {
@@ -774,7 +960,11 @@ const generateCSVExport = (conversations) => {
         JSON.stringify(msg.reactions || []),
         JSON.stringify(msg.attachments || []),
         JSON.stringify(msg.embeddedImages || []),
-        JSON.stringify(msg.replyTo || null)
+        JSON.stringify(msg.replyTo || null),
+        JSON.stringify(msg.mentions || []),
+        msg.editedAt || '',
+        msg.deleted ? 'true' : 'false',
+        JSON.stringify(msg.history || [])
       ].map(field => `"${String(field).replace(/"/g, '""')}"`);
 
       rows.push(row.join(','));
@@ -812,11 +1002,19 @@ const generateTXTExport = (conversations) => {
       const ts = msg.isoTimestamp || msg.timestamp || '';
       const author = msg.author || 'Unknown';
       const text = msg.message || msg.content || '';
-      const editedMarker = msg.edited ? ' (edited)' : '';
+      const editedMarker = msg.deleted ? ' (deleted)' : (msg.edited ? ' (edited)' : '');
 
       lines.push(`[${ts}] ${author}${editedMarker}:`);
       lines.push(text);
 
+      // Add earlier versions of edited messages
+      if (Array.isArray(msg.history) && msg.history.length > 0) {
+        lines.push('  Edit history:');
+        msg.history.forEach(version => {
+          lines.push(`    - [${version.editedAt || 'unknown time'}] ${version.text}`);
+        });
+      }
+
       // Add images if present
       if (msg.embeddedImages && msg.embeddedImages.length > 0) {
         const nonEmoji = msg.embeddedImages.filter(img => !img.isEmoji);
@@ -835,7 +1033,7 @@ const generateTXTExport = (conversations) => {
       }
 
       // Add reply context if present
-      if (msg.replyTo) {
+      if (msg.replyTo && (msg.replyTo.author || msg.replyTo.text)) {
         const replyText = msg.replyTo.text?.substring(0, 50) || '';
         lines.push(`  -> Replying to ${msg.replyTo.author}: "${replyText}..."`);
       }
@@ -850,23 +1048,170 @@ const generateTXTExport = (conversations) => {
   return lines.join('\n');
 };
 
+/**
+ * Escapes Markdown control characters in free text
+ */
+const escapeMarkdown = (text) => {
+  if (!text) return '';
+  return text
+    .replace(/([\\`*_[\]<>|!()])/g, '\\$1')
+    .replace(/^(\s*)([#>+-])/gm, '$1\\$2')
+    .replace(/^(\s*\d+)([.)])/gm, '$1\\$2');
+};
+
+// Link and image targets go in <...> so spaces and parentheses can't end them early
+const markdownUrl = (url) => `<${String(url || '').replace(/[<>\s]/g, (ch) => encodeURIComponent(ch))}>`;
+
+/**
+ * Generates Markdown export of conversations (one heading per conversation and per day)
+ */
+const generateMarkdownExport = (conversations) => {
+  const lines = [];
+
+  Object.entries(conversations).forEach(([name, messages]) => {
+    lines.push(`# ${escapeMarkdown(name)}`);
+    lines.push('');
+
+    let currentDay = null;
+
+    messages.forEach(msg => {
+      if (msg.type === 'divider') {
+        lines.push('---');
+        lines.push('');
+        lines.push(`*${escapeMarkdown(msg.message || msg.content || '')}*`);
+        lines.push('');
+        return;
+      }
+
+      const date = msg.isoTimestamp ? new Date(msg.isoTimestamp) : null;
+      const day = date
+        ? date.toLocaleDateString(undefined, { weekday: 'long', year: 'numeric', month: 'long', day: 'numeric' })
+        : 'Undated';
+      if (day !== currentDay) {
+        currentDay = day;
+        lines.push(`## ${day}`);
+        lines.push('');
+      }
+
+      if (msg.type === 'system') {
+        lines.push(`*System: ${escapeMarkdown(msg.message || msg.content || '')}*`);
+        lines.push('');
+        return;
+      }
+
+      const time = date
+        ? date.toLocaleTimeString(undefined, { hour: 'numeric', minute: '2-digit' })
+        : (msg.timestamp || '');
+      const editedMarker = msg.deleted ? ' *(deleted)*' : (msg.edited ? ' *(edited)*' : '');
+      lines.push(`**${escapeMarkdown(msg.author || 'Unknown')}** · ${time}${editedMarker}`);
+      lines.push('');
+
+      // Reply context as a blockquote
+      if (msg.replyTo && msg.replyTo.text) {
+        const replyText = escapeMarkdown(msg.replyTo.text || '').split('\n').join(' ');
+        lines.push(`> **${escapeMarkdown(msg.replyTo.author || 'Unknown')}:** ${replyText}`);
+        lines.push('');
+      }
+
+      const text = msg.message || msg.content || '';
+      if (text) {
+        // Two trailing spaces keep Teams line breaks as Markdown hard breaks
+        lines.push(escapeMarkdown(text).split('\n').join('  \n'));
+        lines.push('');
+      }
+
+      const images = (msg.embeddedImages || []).filter(img => !img.isEmoji && img.src);
+      images.forEach(img => {
+        lines.push(`![${escapeMarkdown(img.alt || 'image')}](${markdownUrl(img.src)})`);
+      });
+
+      const attachments = msg.attachments || [];
+      attachments.forEach(att => {
+        const label = escapeMarkdown(att.name || att.label || att.text || 'Attachment');
+        lines.push(att.href ? `- 📎 [${label}](${markdownUrl(att.href)})` : `- 📎 ${label}`);
+      });
+
+      if (images.length > 0 || attachments.length > 0) {
+        lines.push('');
+      }
+
+      if (msg.reactions && msg.reactions.length > 0) {
+        const reactionStr = msg.reactions.map(r => `${r.emoji} ${r.count}`).join(' · ');
+        lines.push(`Reactions: ${reactionStr}`);
+        lines.push('');
+      }
+    });
+
+    lines.push('');
+  });
+
+  return lines.join('\n');
+};
+
 /**
  * Generates enhanced JSON export with metadata
  */
 const generateEnhancedJSONExport = (conversations) => {
-  const messageCount = Object.values(conversations).flat().length;
+  const allMessages = Object.values(conversations).flat();
+  const messageCount = allMessages.length;
+  const mentionCount = allMessages.reduce((sum, msg) => sum + (msg.mentions?.length || 0), 0);
 
   return JSON.stringify({
     meta: {
       exportedAt: new Date().toISOString(),
       conversationCount: Object.keys(conversations).length,
       messageCount: messageCount,
-      version: '1.2'
+      mentionCount: mentionCount,
+      version: '1.3'
     },
     conversations
   }, null, 2);
 };
 
+/**
+ * True when a mention refers to the given user display name.
+ * Teams often mentions people by first name only, so a leading-word match counts.
+ */
+const isMentionOfUser = (mention, userName) => {
+  if (!mention || !userName) return false;
+  const mentioned = (mention.displayName || '').trim().toLowerCase();
+  const user = userName.trim().toLowerCase();
+  if (!mentioned) return false;
+  return mentioned === user || user.startsWith(`${mentioned} `) || user.endsWith(`, ${mentioned}`);
+};
+
+/**
+ * Orders messages so each channel thread's replies directly follow its root post.
+ * Replies whose root wasn't exported stay together at the first reply's position.
+ */
+const orderMessagesByThread = (messages) => {
+  const isReply = (msg) => msg.threadId && msg.threadId !== msg.id;
+  const repliesByThread = new Map();
+  messages.forEach((msg) => {
+    if (!isReply(msg)) return;
+    if (!repliesByThread.has(msg.threadId)) repliesByThread.set(msg.threadId, []);
+    repliesByThread.get(msg.threadId).push(msg);
+  });
+  if (repliesByThread.size === 0) return messages;
+
+  const rootIds = new Set(messages.filter((msg) => !isReply(msg)).map((msg) => msg.id));
+  const ordered = [];
+  const emitted = new Set();
+  messages.forEach((msg) => {
+    if (!isReply(msg)) {
+      ordered.push(msg);
+      if (repliesByThread.has(msg.id)) {
+        ordered.push(...repliesByThread.get(msg.id));
+        emitted.add(msg.id);
+      }
+    } else if (!rootIds.has(msg.threadId) && !emitted.has(msg.threadId)) {
+      ordered.push(...repliesByThread.get(msg.threadId));
+      emitted.add(msg.threadId);
+    }
+  });
+  return ordered;
+};
+
 /**
  * Helper function to download a file
  */
@@ -896,9 +1241,18 @@ document.addEventListener('DOMContentLoaded', () => {
   const downloadHtmlButton = document.getElementById('download-html-button');
   const clearDataButton = document.getElementById('clear-data-button');
   const currentUserDisplay = document.getElementById('current-user-display');
+  const mentionsOfMeToggle = document.getElementById('mentions-of-me-toggle');
 
   let allConversations = {};
+  // List name -> savedExtractions key, for conversations stored under their conversationId
+  let conversationStorageKeys = {};
   let currentConversationName = null;
+  // Meeting transcripts sent from a Teams/Stream tab ({ name: { title, entries, streamUrl, source } })
+  let allTranscripts = {};
+  let currentTranscriptName = null;
+  const transcriptSection = document.getElementById('transcript-section');
+  const transcriptList = document.getElementById('transcript-list');
+  const transcriptFormatterModule = import(chrome.runtime.getURL('src/modules/transcriptFormatter.js'));
   let currentUser = null;
   let selectedUserOption = null;
 
@@ -1028,6 +1382,27 @@ document.addEventListener('DOMContentLoaded', () => {
     return { cleanName: fullName, extractionTime: null, isTimestamped: false };
   };
 
+  // Adds saved conversations to the viewer. Synced chats are stored under their
+  // conversationId as { name, conversationId, messages } and get their chat name
+  // in the list (numbered when two chats share one); timestamped copies are a
+  // message array stored under their list name. Returns the list names added.
+  const addStoredConversations = (stored) => Object.keys(stored || {}).map((key) => {
+    const entry = stored[key];
+    if (Array.isArray(entry)) {
+      allConversations[key] = entry;
+      return key;
+    }
+    let name = Object.keys(conversationStorageKeys).find((listName) => conversationStorageKeys[listName] === key);
+    if (!name) {
+      const baseName = entry.name || key;
+      name = baseName;
+      for (let n = 2; allConversations[name]; n++) name = `${baseName} (${n})`;
+      conversationStorageKeys[name] = key;
+    }
+    allConversations[name] = entry.messages || [];
+    return name;
+  });
+
   // Function to render the chat list
   const renderChatList = () => {
     chatList.innerHTML = '';
@@ -1070,6 +1445,7 @@ document.addEventListener('DOMContentLoaded', () => {
         }
         // Add active class to clicked item
         listItem.classList.add('active');
+        currentTranscriptName = null;
         currentConversationName = name; // Set current conversation (use full name for data lookup)
         updateParticipantsDisplay(name); // Update participants display
         renderMessages(name, globalSearchInput.value, avatarData.initials, avatarData.backgroundColor); // Render all messages for the selected conversation
@@ -1080,10 +1456,18 @@ document.addEventListener('DOMContentLoaded', () => {
       deleteBtn.addEventListener('click', (e) => {
         e.stopPropagation();
         if (confirm(`Delete "${cleanName}"?\n\nThis will remove this conversation from the viewer.`)) {
+          const storageKey = conversationStorageKeys[name] || name;
           delete allConversations[name];
-
-          // Update storage
-          chrome.storage.local.set({ savedExtractions: allConversations });
+          delete conversationStorageKeys[name];
+
+          // Update storage, and forget the sync point so the next export refetches in full
+          chrome.storage.local.get(['savedExtractions', 'teamsChatSyncState'], (result) => {
+            const savedExtractions = result.savedExtractions || {};
+            const syncState = result.teamsChatSyncState || {};
+            delete savedExtractions[storageKey];
+            delete syncState[storageKey];
+            chrome.storage.local.set({ savedExtractions, teamsChatSyncState: syncState });
+          });
 
           // If this was the current conversation, clear the view
           if (currentConversationName === name) {
@@ -1141,6 +1525,43 @@ document.addEventListener('DOMContentLoaded', () => {
       }
     }
 
+    // "Mentions of me" filter needs a selected current user
+    if (mentionsOfMeToggle) {
+      mentionsOfMeToggle.disabled = !currentUser;
+      if (mentionsOfMeToggle.checked && currentUser) {
+        messages = messages.filter((msg) => (msg.mentions || []).some((m) => isMentionOfUser(m, currentUser)));
+        if (messages.length === 0) {
+          messageList.innerHTML = '<p style="text-align: center; color: #666;">No messages mention you in this conversation.</p>';
+          return;
+        }
+      }
+    }
+
+    // Channel threads: replies render inside a collapsible block under their root post
+    const rootIds = new Set(messages.filter((msg) => !msg.threadId || msg.threadId === msg.id).map((msg) => msg.id));
+    const threadReplyCounts = new Map();
+    messages.forEach((msg) => {
+      if (msg.threadId && msg.threadId !== msg.id) {
+        threadReplyCounts.set(msg.threadId, (threadReplyCounts.get(msg.threadId) || 0) + 1);
+      }
+    });
+    messages = orderMessagesByThread(messages);
+    const threadContainers = new Map();
+    const getThreadContainer = (threadId) => {
+      if (!threadContainers.has(threadId)) {
+        const details = document.createElement('details');
+        details.className = 'thread-replies';
+        const summary = document.createElement('summary');
+        const count = threadReplyCounts.get(threadId) || 0;
+        summary.textContent = `${count} ${count === 1 ? 'reply' : 'replies'}${rootIds.has(threadId) ? '' : ' (original post not exported)'}`;
+        details.appendChild(summary);
+        messageList.appendChild(details);
+        threadContainers.set(threadId, details);
+      }
+      return threadContainers.get(threadId);
+    };
+    let lastTarget = messageList;
+
     let lastAuthor = null;
     let lastTimestamp = null;
     const TIME_THRESHOLD_MS = 3 * 60 * 1000; // 3 minutes in milliseconds
@@ -1159,6 +1580,15 @@ document.addEventListener('DOMContentLoaded', () => {
       const messageContainer = document.createElement('div');
       messageContainer.classList.add('message-container');
 
+      const isThreadReply = !!(msg.threadId && msg.threadId !== msg.id);
+      const target = isThreadReply ? getThreadContainer(msg.threadId) : messageList;
+      if (target !== lastTarget) {
+        // Start a fresh author group when entering or leaving a thread
+        lastAuthor = null;
+        lastTimestamp = null;
+        lastTarget = target;
+      }
+
       const timestampDate = msg.isoTimestamp ? new Date(msg.isoTimestamp) : (msg.timestamp ? new Date(msg.timestamp) : null);
       const timestampMillis = timestampDate && !Number.isNaN(timestampDate.getTime())
         ? timestampDate.getTime()
@@ -1176,7 +1606,9 @@ document.addEventListener('DOMContentLoaded', () => {
           const messageDetails = document.createElement('div');
           messageDetails.classList.add('message-details');
           let detailsText = msg.timestamp ? authorLabel + ' - ' + msg.timestamp : authorLabel;
-          if (msg.edited) {
+          if (msg.deleted) {
+            detailsText += ' (deleted)';
+          } else if (msg.edited) {
             detailsText += ' (edited)';
           }
           messageDetails.textContent = detailsText;
@@ -1208,8 +1640,8 @@ document.addEventListener('DOMContentLoaded', () => {
         messageContainer.style.textAlign = 'right';
       }
 
-      // Add reply preview if present
-      if (msg.replyTo && msg.replyTo.text) {
+      // Add reply preview if present (not for plain replies to a thread's root, the thread shows that)
+      if (msg.replyTo && msg.replyTo.text && !(isThreadReply && msg.replyTo.id === msg.threadId)) {
         const replyDiv = document.createElement('div');
         replyDiv.className = 'reply-preview';
         replyDiv.innerHTML = `
@@ -1224,7 +1656,13 @@ document.addEventListener('DOMContentLoaded', () => {
       if (!messageBody && (!Array.isArray(msg.attachments) || msg.attachments.length === 0)) {
         return;
       }
-      messageText.textContent = messageBody;
+      const richHtml = sanitizeMessageHtml(msg.html);
+      if (richHtml) {
+        messageText.className = 'message-rich';
+        messageText.innerHTML = richHtml;
+      } else {
+        messageText.textContent = messageBody;
+      }
 
       messageBubble.appendChild(messageText);
 
@@ -1236,9 +1674,9 @@ document.addEventListener('DOMContentLoaded', () => {
           const attEl = document.createElement('div');
           attEl.className = 'attachment-item';
           if (att.href) {
-            attEl.innerHTML = `<a href="${escapeHtml(att.href)}" target="_blank" rel="noopener">${escapeHtml(att.label || att.text || 'Attachment')}</a>`;
+            attEl.innerHTML = `<a href="${escapeHtml(att.href)}" target="_blank" rel="noopener">${escapeHtml(att.name || att.label || att.text || 'Attachment')}</a>`;
           } else {
-            attEl.textContent = att.label || att.text || 'Attachment';
+            attEl.textContent = att.name || att.label || att.text || 'Attachment';
           }
           if (att.type) {
             const typeSpan = document.createElement('span');
@@ -1311,8 +1749,16 @@ document.addEventListener('DOMContentLoaded', () => {
         messageBubble.appendChild(reactionsDiv);
       }
 
+      // Edit/delete markers with the earlier versions captured at export time
+      if (msg.deleted) {
+        messageBubble.classList.add('message-deleted');
+      }
+      if (msg.edited || msg.deleted) {
+        messageBubble.appendChild(createEditInfo(msg));
+      }
+
       messageContainer.appendChild(messageBubble);
-      messageList.appendChild(messageContainer);
+      target.appendChild(messageContainer);
 
       if (isSystemMessage) {
         lastAuthor = null;
@@ -1329,6 +1775,249 @@ document.addEventListener('DOMContentLoaded', () => {
     messageList.scrollTop = messageList.scrollHeight; // Scroll to bottom
   };
 
+  const formatEditTime = (iso) => {
+    const date = iso ? new Date(iso) : null;
+    return date && !Number.isNaN(date.getTime()) ? date.toLocaleString() : '';
+  };
+
+  const createEditInfo = (msg) => {
+    const info = document.createElement('div');
+    info.className = 'message-edit-info';
+
+    const label = document.createElement('span');
+    label.textContent = msg.deleted
+      ? `Deleted${msg.deletedAt ? ' ' + formatEditTime(msg.deletedAt) : ''}`
+      : `Edited${msg.editedAt ? ' ' + formatEditTime(msg.editedAt) : ''}`;
+    info.appendChild(label);
+
+    const history = Array.isArray(msg.history) ? msg.history : [];
+    if (!msg.edited && history.length === 0) {
+      return info;
+    }
+
+    const toggle = document.createElement('button');
+    toggle.type = 'button';
+    toggle.className = 'message-history-toggle';
+    toggle.textContent = 'View history';
+    info.appendChild(toggle);
+
+    const popover = document.createElement('div');
+    popover.className = 'message-history-popover';
+    popover.hidden = true;
+    if (history.length > 0) {
+      history.forEach((version) => {
+        const item = document.createElement('div');
+        item.className = 'message-history-item';
+        const when = document.createElement('div');
+        when.className = 'message-history-time';
+        when.textContent = formatEditTime(version.editedAt) || 'Unknown time';
+        const text = document.createElement('div');
+        text.textContent = version.text || '';
+        item.appendChild(when);
+        item.appendChild(text);
+        popover.appendChild(item);
+      });
+    } else {
+      popover.textContent = 'Earlier versions were not included in the Teams data for this message.';
+    }
+    info.appendChild(popover);
+
+    toggle.addEventListener('click', () => {
+      popover.hidden = !popover.hidden;
+      toggle.textContent = popover.hidden ? 'View history' : 'Hide history';
+    });
+
+    return info;
+  };
+
+  // === Transcripts ===
+
+  const escapeRegExp = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+  // Escapes text and wraps case-insensitive matches of searchTerm in <mark>
+  const highlightMatches = (text, searchTerm) => {
+    if (!searchTerm) return escapeHtml(text);
+    return String(text || '')
+      .split(new RegExp(`(${escapeRegExp(searchTerm)})`, 'gi'))
+      .map((part, index) => (index % 2 === 1 ? `<mark>${escapeHtml(part)}</mark>` : escapeHtml(part)))
+      .join('');
+  };
+
+  const cueMatches = (entry, lowerCaseSearchTerm) => (
+    (entry.text || '').toLowerCase().includes(lowerCaseSearchTerm) ||
+    (entry.speakerDisplayName || entry.speaker || '').toLowerCase().includes(lowerCaseSearchTerm)
+  );
+
+  // Sidebar list of transcripts; while searching, each shows its number of matching lines
+  const renderTranscriptList = () => {
+    transcriptList.innerHTML = '';
+    const names = Object.keys(allTranscripts);
+    transcriptSection.hidden = names.length === 0;
+    const searchTerm = globalSearchInput.value.trim().toLowerCase();
+
+    names.forEach((name) => {
+      const transcript = allTranscripts[name];
+      const entries = transcript.entries || [];
+      const { cleanName, extractionTime } = parseConversationName(name);
+      const avatarData = generateAvatar(cleanName);
+
+      const listItem = document.createElement('li');
+      listItem.classList.add('chat-list-item', 'transcript-list-item');
+      if (name === currentTranscriptName) listItem.classList.add('active');
+      listItem.dataset.transcriptName = name;
+      listItem.innerHTML = `
+        <div class="chat-list-item-avatar-wrapper">
+          <div class="chat-list-item-avatar" style="background-color: ${avatarData.backgroundColor};">
+            <span class="chat-list-item-initials">${escapeHtml(avatarData.initials)}</span>
+          </div>
+        </div>
+        <div class="chat-list-item-content">
+          <div class="chat-list-item-header">
+            <span class="chat-list-item-title"></span>
+          </div>
+          <div class="chat-list-item-extraction-date"></div>
+        </div>
+        <div class="chat-list-item-actions">
+          <button type="button" class="chat-list-item-delete-button" title="Delete transcript">
+            <svg fill="currentColor" aria-hidden="true" width="1em" height="1em" viewBox="0 0 20 20" xmlns="http://www.w3.org/2000/svg"><path d="M8.5 4h3a1.5 1.5 0 0 0-3 0Zm-1 0a2.5 2.5 0 0 1 5 0h5a.5.5 0 0 1 0 1h-1.05l-1.2 10.34A3 3 0 0 1 12.27 18H7.73a3 3 0 0 1-2.98-2.66L3.55 5H2.5a.5.5 0 0 1 0-1h5ZM5.74 15.23A2 2 0 0 0 7.73 17h4.54a2 2 0 0 0 1.99-1.77L15.44 5H4.56l1.18 10.23ZM8.5 7.5c.28 0 .5.22.5.5v6a.5.5 0 0 1-1 0V8c0-.28.22-.5.5-.5Zm3.5.5a.5.5 0 0 0-1 0v6a.5.5 0 0 0 1 0V8Z" fill="currentColor"></path></svg>
+          </button>
+        </div>
+      `;
+      listItem.querySelector('.chat-list-item-title').textContent = cleanName;
+      const matchCount = searchTerm ? entries.filter((entry) => cueMatches(entry, searchTerm)).length : null;
+      listItem.querySelector('.chat-list-item-extraction-date').textContent = matchCount !== null
+        ? `${matchCount} ${matchCount === 1 ? 'match' : 'matches'}`
+        : `${entries.length} lines${extractionTime ? ` \u00B7 ${extractionTime}` : ''}`;
+
+      listItem.addEventListener('click', (e) => {
+        if (e.target.closest('.chat-list-item-delete-button')) {
+          return;
+        }
+        selectTranscript(name);
+      });
+
+      listItem.querySelector('.chat-list-item-delete-button').addEventListener('click', (e) => {
+        e.stopPropagation();
+        if (confirm(`Delete "${cleanName}"?\n\nThis will remove this transcript from the viewer.`)) {
+          delete allTranscripts[name];
+          chrome.storage.local.set({ savedTranscripts: allTranscripts });
+          if (currentTranscriptName === name) {
+            currentTranscriptName = null;
+            chatTitle.textContent = 'Select a conversation';
+            messageList.innerHTML = '';
+          }
+          renderTranscriptList();
+        }
+      });
+
+      transcriptList.appendChild(listItem);
+    });
+  };
+
+  // Speakers take the participant chips, colored in order of first appearance
+  const updateSpeakersDisplay = (cues) => {
+    const participantsList = document.getElementById('participants-list');
+    const speakers = new Map();
+    cues.forEach((cue) => speakers.set(cue.speaker, (speakers.get(cue.speaker) || 0) + 1));
+
+    authorColorMap.clear();
+    if (participantsList) participantsList.innerHTML = '';
+    Array.from(speakers.entries()).forEach(([speaker, count], index) => {
+      authorColorMap.set(speaker, index);
+      if (!participantsList) return;
+      const color = participantColors[index % participantColors.length];
+      const chip = document.createElement('div');
+      chip.className = 'participant-chip';
+      chip.style.backgroundColor = color + '20';
+      chip.innerHTML = `
+        <div class="participant-avatar" style="background-color: ${color};">${escapeHtml(generateAvatar(speaker).initials)}</div>
+        <span>${escapeHtml(speaker)}</span>
+        <span style="color: #999; font-size: 10px;">(${count})</span>
+      `;
+      participantsList.appendChild(chip);
+    });
+  };
+
+  // Renders a transcript as speaker-colored cues; clicking a cue copies a Stream link to that moment
+  const renderTranscript = async (name, searchTerm = '') => {
+    const transcript = allTranscripts[name];
+    if (!transcript) return;
+    const { TranscriptFormatter } = await transcriptFormatterModule;
+    if (currentTranscriptName !== name) return;
+
+    const { cleanName } = parseConversationName(name);
+    const avatarData = generateAvatar(cleanName);
+    chatTitle.textContent = cleanName;
+    chatAvatarInitials.textContent = avatarData.initials;
+    chatAvatarContainer.style.backgroundColor = avatarData.backgroundColor;
+
+    const cues = TranscriptFormatter.normalizeEntries(transcript.entries);
+    updateSpeakersDisplay(cues);
+    messageList.innerHTML = '';
+
+    if (cues.length === 0) {
+      messageList.innerHTML = '<p style="text-align: center; color: #666;">This transcript has no lines.</p>';
+      return;
+    }
+
+    const term = searchTerm.trim();
+    const lowerCaseSearchTerm = term.toLowerCase();
+    const visible = term ? cues.filter((cue) => cueMatches(cue, lowerCaseSearchTerm)) : cues;
+
+    const summary = document.createElement('div');
+    summary.className = 'transcript-summary';
+    const counts = term ? `${visible.length} of ${cues.length} lines match` : `${cues.length} lines`;
+    const duration = TranscriptFormatter.formatDuration(cues[cues.length - 1].end - cues[0].start);
+    const hint = transcript.streamUrl
+      ? 'Click a line to copy a link that opens the recording at that time.'
+      : 'Click a line to copy it (no recording link was captured for this transcript).';
+    summary.textContent = `${counts} \u00B7 ${authorColorMap.size} speakers \u00B7 ${duration}. ${hint}`;
+    messageList.appendChild(summary);
+
+    if (visible.length === 0) {
+      messageList.insertAdjacentHTML('beforeend', '<p style="text-align: center; color: #666;">No transcript lines found matching your search.</p>');
+      return;
+    }
+
+    visible.forEach((cue) => {
+      const color = participantColors[(authorColorMap.get(cue.speaker) || 0) % participantColors.length];
+      const offset = TranscriptFormatter.formatTimestamp(cue.start).split('.')[0];
+
+      const cueEl = document.createElement('div');
+      cueEl.className = 'transcript-cue';
+      cueEl.style.borderLeftColor = color;
+      cueEl.title = transcript.streamUrl ? `Copy link to ${offset}` : 'Copy line';
+      cueEl.innerHTML = `
+        <div class="transcript-cue-meta">
+          <span class="transcript-cue-time">${offset}</span>
+          <span class="transcript-cue-speaker" style="color: ${color};">${highlightMatches(cue.speaker, term)}</span>
+        </div>
+        <div class="transcript-cue-text">${highlightMatches(cue.text, term)}</div>
+      `;
+
+      cueEl.addEventListener('click', async () => {
+        const link = TranscriptFormatter.buildStreamDeepLink(transcript.streamUrl, cue.start);
+        try {
+          await navigator.clipboard.writeText(link || `[${offset}] ${cue.speaker}: ${cue.text}`);
+          cueEl.classList.add('copied');
+          setTimeout(() => cueEl.classList.remove('copied'), 1200);
+        } catch (err) {
+          console.error('Failed to copy transcript link:', err);
+        }
+      });
+
+      messageList.appendChild(cueEl);
+    });
+  };
+
+  const selectTranscript = (name) => {
+    document.querySelectorAll('.chat-list-item.active').forEach((item) => item.classList.remove('active'));
+    currentConversationName = null;
+    currentTranscriptName = name;
+    renderTranscriptList();
+    renderTranscript(name, globalSearchInput.value);
+  };
+
   const getAllUsers = () => {
     const users = new Set();
     Object.values(allConversations).forEach((messages) => {
@@ -1543,11 +2232,92 @@ document.addEventListener('DOMContentLoaded', () => {
     });
   }
 
+  // Handle Markdown download
+  const downloadMdButton = document.getElementById('download-md-button');
+  if (downloadMdButton) {
+    downloadMdButton.addEventListener('click', () => {
+      if (Object.keys(allConversations).length === 0) {
+        alert('No data to export. Please upload a JSON file or extract conversations first.');
+        return;
+      }
+      const mdContent = generateMarkdownExport(allConversations);
+      const timestamp = new Date().toISOString().replace(/[:.]/g, '-').slice(0, -5);
+      downloadFile(mdContent, `teams-chat-export-${timestamp}.md`, 'text/markdown');
+    });
+  }
+
+  // Handle ZIP export with downloaded attachments
+  const downloadZipButton = document.getElementById('download-zip-button');
+  if (downloadZipButton) {
+    downloadZipButton.addEventListener('click', async () => {
+      if (Object.keys(allConversations).length === 0) {
+        alert('No data to export. Please upload a JSON file or extract conversations first.');
+        return;
+      }
+
+      const originalLabel = downloadZipButton.textContent;
+      downloadZipButton.disabled = true;
+      try {
+        const [{ AttachmentBundler }, { ZipBuilder }] = await Promise.all([
+          import(chrome.runtime.getURL('src/modules/attachmentBundler.js')),
+          import(chrome.runtime.getURL('src/modules/zipBuilder.js'))
+        ]);
+        const tokens = await new Promise((resolve) => {
+          chrome.runtime.sendMessage({ action: 'getSharePointTokens' }, (response) => {
+            resolve(chrome.runtime.lastError ? {} : (response?.tokens || {}));
+          });
+        });
+
+        const bundler = new AttachmentBundler({ tokens });
+        const { conversations, files, report, totalBytes } = await bundler.bundle(allConversations, {
+          onProgress: ({ index, total }) => {
+            downloadZipButton.textContent = `Fetching ${index}/${total}...`;
+          }
+        });
+
+        downloadZipButton.textContent = 'Building ZIP...';
+        const zip = new ZipBuilder();
+        zip.addFile('teams-chat-export.json', generateEnhancedJSONExport(conversations));
+        zip.addFile('teams-chat-export.html', generateHTMLExport(conversations));
+        files.forEach(({ path, data }) => zip.addFile(path, data));
+        zip.addFile('attachments-report.json', JSON.stringify({ totalBytes, files: report }, null, 2));
+
+        const timestamp = new Date().toISOString().replace(/[:.]/g, '-').slice(0, -5);
+        downloadFile(zip.build(), `teams-chat-export-${timestamp}.zip`, 'application/zip');
+
+        const problems = report.filter((entry) => entry.status !== 'ok');
+        if (problems.length > 0) {
+          const lines = problems.slice(0, 15).map((entry) => `- ${entry.name || entry.href}: ${entry.reason}`);
+          if (problems.length > 15) lines.push(`...and ${problems.length - 15} more (see attachments-report.json)`);
+          alert(`Bundled ${files.length} of ${report.length} attachments.\n\nNot included:\n${lines.join('\n')}`);
+        }
+      } catch (error) {
+        console.error('Attachment export failed:', error);
+        alert(`Export with attachments failed: ${error.message}`);
+      } finally {
+        downloadZipButton.textContent = originalLabel;
+        downloadZipButton.disabled = false;
+      }
+    });
+  }
+
+  // Mentions of me filter
+  if (mentionsOfMeToggle) {
+    mentionsOfMeToggle.addEventListener('change', () => {
+      if (currentConversationName) {
+        renderMessages(currentConversationName, globalSearchInput.value);
+      }
+    });
+  }
+
   // Global search functionality
   globalSearchInput.addEventListener('input', () => {
     if (currentConversationName) {
       renderMessages(currentConversationName, globalSearchInput.value);
+    } else if (currentTranscriptName) {
+      renderTranscript(currentTranscriptName, globalSearchInput.value);
     }
+    renderTranscriptList();
   });
 
   // Tab functionality
@@ -1570,16 +2340,11 @@ document.addEventListener('DOMContentLoaded', () => {
   // Initial load: check if data is passed from background script
   chrome.runtime.onMessage.addListener((request, sender, sendResponse) => {
     if (request.action === "displayData" && request.data) {
-      // Merge new conversations with existing ones instead of replacing
-      const timestamp = new Date().toLocaleString();
-      Object.keys(request.data).forEach(conversationName => {
-        const newName = `[${timestamp}] ${conversationName}`;
-        allConversations[newName] = request.data[conversationName];
-      });
-      
+      // Keys arrive exactly as background.js stored them (conversationId or timestamped name)
+      const newConversationNames = addStoredConversations(request.data);
+
       renderChatList();
       // Optionally select the first NEW conversation by default
-      const newConversationNames = Object.keys(request.data).map(name => `[${timestamp}] ${name}`);
       if (newConversationNames.length > 0) {
         const firstNewName = newConversationNames[0];
         const firstListItem = document.querySelector(`[data-conversation-name="${firstNewName}"]`);
@@ -1590,24 +2355,41 @@ document.addEventListener('DOMContentLoaded', () => {
           });
           firstListItem.classList.add('active');
         }
+        currentTranscriptName = null;
         currentConversationName = firstNewName; // Set current conversation
         const firstAvatarData = generateAvatar(firstNewName);
         renderMessages(firstNewName, '', firstAvatarData.initials, firstAvatarData.backgroundColor);
       }
     }
+
+    if (request.action === 'displayTranscripts' && request.data) {
+      Object.keys(request.data).forEach((name) => {
+        allTranscripts[name] = request.data[name];
+      });
+      const newTranscriptNames = Object.keys(request.data);
+      if (newTranscriptNames.length > 0) {
+        selectTranscript(newTranscriptNames[0]);
+      } else {
+        renderTranscriptList();
+      }
+    }
   });
 
   // Handle clear data button
   clearDataButton.addEventListener('click', () => {
     if (confirm('Are you sure you want to clear all conversation data? This cannot be undone.')) {
       allConversations = {};
+      conversationStorageKeys = {};
       currentConversationName = null;
+      allTranscripts = {};
+      currentTranscriptName = null;
       currentUser = null;
       if (currentUserDisplay) {
         currentUserDisplay.textContent = 'No user selected';
       }
-      chrome.storage.local.remove(['teamsChatData', 'savedExtractions']);
+      chrome.storage.local.remove(['teamsChatData', 'savedExtractions', 'teamsChatSyncState', 'savedTranscripts']);
       renderChatList();
+      renderTranscriptList();
       document.getElementById('chat-title').textContent = 'Select a conversation';
       document.getElementById('message-list').innerHTML = '';
     }
@@ -1617,17 +2399,19 @@ document.addEventListener('DOMContentLoaded', () => {
   // Set up the user select dropdown handler
   setupUserSelect();
 
-  chrome.storage.local.get(['teamsChatData', 'savedExtractions'], (result) => {
+  chrome.storage.local.get(['teamsChatData', 'savedExtractions', 'savedTranscripts'], async (result) => {
+    await htmlSanitizerModule;
     const savedExtractions = result.savedExtractions || {};
+    allTranscripts = { ...(result.savedTranscripts || {}), ...allTranscripts };
     const teamsChatData = result.teamsChatData || {};
 
     const hasSavedExtracts = Object.keys(savedExtractions).length > 0;
     const hasCurrentExtraction = Object.keys(teamsChatData).length > 0;
 
     if (hasSavedExtracts) {
-      allConversations = savedExtractions;
+      addStoredConversations(savedExtractions);
     } else if (hasCurrentExtraction) {
-      allConversations = teamsChatData;
+      addStoredConversations(teamsChatData);
     }
 
     renderChatList();
@@ -1641,7 +2425,10 @@ document.addEventListener('DOMContentLoaded', () => {
       updateParticipantsDisplay(firstConversationName); // Show participants
       const firstAvatarData = generateAvatar(firstConversationName);
       renderMessages(firstConversationName, '', firstAvatarData.initials, firstAvatarData.backgroundColor);
+    } else if (!currentTranscriptName && Object.keys(allTranscripts).length > 0) {
+      selectTranscript(Object.keys(allTranscripts)[0]);
     }
+    renderTranscriptList();
     if (!currentUser) {
       const users = getAllUsers();
       if (users.length === 1) {
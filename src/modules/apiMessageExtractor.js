@@ -4,11 +4,15 @@
  * This is best-effort and gated via localStorage "teamsChatApiMode".
  */
 
+import { HtmlSanitizer } from './htmlSanitizer.js';
+
 export class ApiMessageExtractor {
   constructor() {
     this.cacheKey = '__teamsExtractorMessageApiCache';
     this.hiddenDivId = 'teams-extractor-message-api-cache';
     this.conversationStartTs = 0;
+    this.lastSync = null;
+    this.lastResponseOk = false;
   }
 
   readNumberSetting(key, { min = 1, max = 500, fallback }, storageValue = null) {
@@ -34,7 +38,7 @@ export class ApiMessageExtractor {
   async loadStorageSettings() {
     return new Promise((resolve) => {
       if (typeof chrome !== 'undefined' && chrome.storage && chrome.storage.local) {
-        chrome.storage.local.get(['teamsChatApiPageSize', 'teamsChatApiMaxPages', 'teamsChatApiStartTime'], (result) => {
+        chrome.storage.local.get(['teamsChatApiPageSize', 'teamsChatApiMaxPages', 'teamsChatApiStartTime', 'teamsChatApiEndTime', 'teamsChatSyncState'], (result) => {
           resolve(result || {});
         });
       } else {
@@ -43,6 +47,27 @@ export class ApiMessageExtractor {
     });
   }
 
+  /**
+   * Reads the from/to date window set in the popup as { startMs, endMs } (null when open-ended)
+   */
+  async loadDateWindow(storageSettings = null) {
+    const settings = storageSettings || await this.loadStorageSettings();
+    const startMs = this.readNumberSetting('teamsChatApiStartTime', { min: 1, max: Number.MAX_SAFE_INTEGER, fallback: 1 }, settings.teamsChatApiStartTime);
+    const endMs = this.readNumberSetting('teamsChatApiEndTime', { min: 1, max: Number.MAX_SAFE_INTEGER, fallback: null }, settings.teamsChatApiEndTime);
+    return { startMs: startMs > 1 ? startMs : null, endMs };
+  }
+
+  /**
+   * Messages without a parseable timestamp are kept; they can't be placed outside the window
+   */
+  isInDateWindow(msg, { startMs = null, endMs = null } = {}) {
+    if (!msg?.isoTimestamp) return true;
+    const ts = Date.parse(msg.isoTimestamp);
+    if (startMs && ts < startMs) return false;
+    if (endMs && ts > endMs) return false;
+    return true;
+  }
+
   getHostAndRegion() {
     const defaults = { host: 'teams.microsoft.com', region: 'amer' };
     try {
@@ -124,7 +149,14 @@ export class ApiMessageExtractor {
     return this.sortAndDedup(messages);
   }
 
-  async fetchConversation(conversationId, { pageSize = 200, maxPages = 15, startTime = 1 } = {}) {
+  /**
+   * Fetches a conversation's messages. With incremental on (default), only
+   * messages newer than the last stored export of this conversation are fetched;
+   * this.lastSync records whether an empty result means "already up to date".
+   * With dateWindow off, the popup's from/to window is not applied.
+   */
+  async fetchConversation(conversationId, { pageSize = 200, maxPages = 15, startTime = 1, incremental = true, dateWindow = true } = {}) {
+    this.lastSync = { conversationId, since: null, upToDate: false };
     if (!conversationId) return [];
 
     // Load settings from chrome.storage.local (set via popup), with localStorage fallback
@@ -133,7 +165,21 @@ export class ApiMessageExtractor {
     // Allow overrides via chrome.storage.local or localStorage
     const effectivePageSize = this.readNumberSetting('teamsChatApiPageSize', { min: 1, max: 500, fallback: pageSize }, storageSettings.teamsChatApiPageSize);
     const effectiveMaxPages = this.readNumberSetting('teamsChatApiMaxPages', { min: 1, max: 200, fallback: maxPages }, storageSettings.teamsChatApiMaxPages);
-    const effectiveStartTime = this.readNumberSetting('teamsChatApiStartTime', { min: 1, max: Number.MAX_SAFE_INTEGER, fallback: startTime }, storageSettings.teamsChatApiStartTime);
+    let effectiveStartTime = dateWindow
+      ? this.readNumberSetting('teamsChatApiStartTime', { min: 1, max: Number.MAX_SAFE_INTEGER, fallback: startTime }, storageSettings.teamsChatApiStartTime)
+      : startTime;
+    const { endMs } = dateWindow ? await this.loadDateWindow(storageSettings) : { endMs: null };
+    const hasDateWindow = effectiveStartTime > 1 || !!endMs;
+
+    // Incremental sync: resume after the newest message already stored for this conversation.
+    // A date-window export is a one-off slice, so it always fetches the window in full.
+    const syncEntry = incremental && !hasDateWindow ? (storageSettings.teamsChatSyncState || {})[conversationId] : null;
+    const sinceMs = syncEntry?.newestIsoTimestamp ? Date.parse(syncEntry.newestIsoTimestamp) : NaN;
+    if (!Number.isNaN(sinceMs) && sinceMs + 1 > effectiveStartTime) {
+      effectiveStartTime = sinceMs + 1;
+      this.lastSync.since = syncEntry.newestIsoTimestamp;
+      console.log(`[Teams Chat API] Incremental sync since ${syncEntry.newestIsoTimestamp}`);
+    }
 
     const { host, region } = this.getHostAndRegion();
     const encodedId = encodeURIComponent(conversationId);
@@ -163,10 +209,22 @@ export class ApiMessageExtractor {
 
     for (const path of paths) {
       console.log(`[Teams Chat API] Trying: ${path.substring(0, 80)}...`);
-      const msgs = await this.fetchPaged(path, { maxPages: effectiveMaxPages });
+      let msgs = await this.fetchPaged(path, { maxPages: effectiveMaxPages, startTime: effectiveStartTime });
+
+      // v2 endpoints ignore startTime, and no endpoint takes an end time, so clip on the client
+      if (effectiveStartTime > 1 || endMs) {
+        const clipWindow = { startMs: effectiveStartTime > 1 ? effectiveStartTime : null, endMs };
+        msgs = msgs.filter((msg) => this.isInDateWindow(msg, clipWindow));
+      }
+
       if (msgs.length > 0) {
         console.log(`[Teams Chat API] Success with endpoint, got ${msgs.length} messages`);
-        return msgs;
+        return this.linkReplies(msgs);
+      }
+      if (this.lastSync.since && this.lastResponseOk) {
+        console.log('[Teams Chat API] No new messages since last export');
+        this.lastSync.upToDate = true;
+        return [];
       }
     }
 
@@ -174,11 +232,127 @@ export class ApiMessageExtractor {
     return [];
   }
 
-  async fetchPaged(initialUrl, { maxPages = 15 } = {}) {
+  /**
+   * Lists the user's chats via the chatsvc conversations endpoint.
+   * Returns [{ id, name, lastMessageTime }], newest first. Channels and
+   * system streams (48:notes, notifications) are skipped.
+   */
+  async listConversations({ pageSize = 100, maxPages = 20 } = {}) {
+    const { host, region } = this.getHostAndRegion();
+    const token = await this.resolveAuthToken();
+    const headers = this.buildRequestHeaders(token);
+
+    const conversations = new Map();
+    let currentUrl = `https://${host}/api/chatsvc/${region}/v1/users/ME/conversations?view=msnp24Equivalent&pageSize=${pageSize}&startTime=1`;
+
+    for (let i = 0; i < maxPages && currentUrl; i++) {
+      try {
+        console.log(`[Teams Chat API] Listing conversations, page ${i + 1}...`);
+        const resp = await fetch(currentUrl, { credentials: 'include', headers });
+        if (!resp.ok) throw new Error(`HTTP ${resp.status}`);
+        const data = await resp.json();
+        const page = Array.isArray(data?.conversations) ? data.conversations : [];
+
+        page.forEach((conv) => {
+          const id = conv?.id;
+          if (!id || !id.startsWith('19:') || conversations.has(id)) return;
+
+          const threadType = (conv.threadProperties?.threadType || '').toLowerCase();
+          if (threadType === 'space' || threadType === 'topic') return;
+
+          conversations.set(id, {
+            id,
+            name: conv.threadProperties?.topic || conv.threadProperties?.spaceThreadTopic || null,
+            lastMessageTime: this.parseIso(conv.lastMessage?.composetime || conv.lastMessage?.originalarrivaltime || conv.properties?.lastimreceivedtime)
+          });
+        });
+
+        if (page.length === 0) break;
+        currentUrl = data?._metadata?.backwardLink || data?._metadata?.syncState || null;
+      } catch (err) {
+        console.warn('[Teams Chat API] Conversation listing failed', err);
+        break;
+      }
+    }
+
+    console.log(`[Teams Chat API] Listed ${conversations.size} conversations`);
+    return Array.from(conversations.values()).sort((a, b) => {
+      return (b.lastMessageTime || '').localeCompare(a.lastMessageTime || '');
+    });
+  }
+
+  async fetchPaged(initialUrl, { maxPages = 15, startTime = 1 } = {}) {
     const messages = [];
     const baseUrl = new URL(initialUrl);
     let nextSyncState = baseUrl.searchParams.get('syncState') || null;
 
+    const token = await this.resolveAuthToken();
+    const headers = this.buildRequestHeaders(token);
+
+    let currentUrl = baseUrl.toString();
+    this.lastResponseOk = false;
+
+    for (let i = 0; i < maxPages; i++) {
+      try {
+        console.log(`[Teams Chat API] Fetching page ${i + 1}...`);
+        const resp = await fetch(currentUrl, {
+          credentials: 'include',
+          headers
+        });
+
+        if (resp.status === 401) {
+          console.error('[Teams Chat API] 401 Unauthorized. Token was:', token ? 'Present' : 'Missing');
+          try { window.localStorage.removeItem('teamsChatAuthToken'); } catch (e) { }
+        }
+
+        if (!resp.ok) throw new Error(`HTTP ${resp.status}`);
+        const data = await resp.json();
+        this.lastResponseOk = true;
+        const payloadMessages = this.extractFromPayload(data);
+        payloadMessages.forEach((msg) => messages.push(msg));
+
+        // Stop if we got 0 messages (no more content)
+        if (payloadMessages.length === 0) {
+          console.log(`[Teams Chat API] No more messages, stopping pagination`);
+          break;
+        }
+
+        // Pages run newest to oldest; once a page reaches before the start time, older pages can't match
+        if (startTime > 1 && payloadMessages.some((msg) => msg.isoTimestamp && Date.parse(msg.isoTimestamp) < startTime)) {
+          console.log(`[Teams Chat API] Reached messages older than the start time, stopping pagination`);
+          break;
+        }
+
+        // Get next page URL - v1 uses syncState, v2 uses @odata.nextLink
+        const nextUrl = data?.syncState ||
+                       data?._metadata?.syncState ||
+                       data?.['@odata.nextLink'] ||
+                       data?.nextLink ||
+                       null;
+
+        if (!nextUrl) {
+          console.log(`[Teams Chat API] No more pages`);
+          break;
+        }
+
+        // Use next URL directly
+        currentUrl = nextUrl;
+      } catch (err) {
+        // Don't log 404s as warnings - they're expected when trying multiple endpoints
+        if (!err.message?.includes('404')) {
+          console.warn('[Teams Chat API] fetch error', currentUrl, err);
+        }
+        break;
+      }
+    }
+
+    return this.sortAndDedup(messages);
+  }
+
+  /**
+   * Finds a usable Teams auth token (bridge, localStorage, MSAL cache)
+   */
+  async resolveAuthToken() {
     // Get token - try multiple sources
     console.log('[Teams Chat API] Looking for auth token...');
 
@@ -272,6 +446,13 @@ export class ApiMessageExtractor {
       }
     }
 
+    return token;
+  }
+
+  /**
+   * Builds the request headers the Teams chat service expects
+   */
+  buildRequestHeaders(token) {
     const headers = {
       'Accept': 'application/json',
       'x-ms-client-type': 'web',
@@ -289,57 +470,7 @@ export class ApiMessageExtractor {
         headers['Authorization'] = token;
       }
     }
-
-    let currentUrl = baseUrl.toString();
-
-    for (let i = 0; i < maxPages; i++) {
-      try {
-        console.log(`[Teams Chat API] Fetching page ${i + 1}...`);
-        const resp = await fetch(currentUrl, {
-          credentials: 'include',
-          headers
-        });
-
-        if (resp.status === 401) {
-          console.error('[Teams Chat API] 401 Unauthorized. Token was:', token ? 'Present' : 'Missing');
-          try { window.localStorage.removeItem('teamsChatAuthToken'); } catch (e) { }
-        }
-
-        if (!resp.ok) throw new Error(`HTTP ${resp.status}`);
-        const data = await resp.json();
-        const payloadMessages = this.extractFromPayload(data);
-        payloadMessages.forEach((msg) => messages.push(msg));
-
-        // Stop if we got 0 messages (no more content)
-        if (payloadMessages.length === 0) {
-          console.log(`[Teams Chat API] No more messages, stopping pagination`);
-          break;
-        }
-
-        // Get next page URL - v1 uses syncState, v2 uses @odata.nextLink
-        const nextUrl = data?.syncState ||
-                       data?._metadata?.syncState ||
-                       data?.['@odata.nextLink'] ||
-                       data?.nextLink ||
-                       null;
-
-        if (!nextUrl) {
-          console.log(`[Teams Chat API] No more pages`);
-          break;
-        }
-
-        // Use next URL directly
-        currentUrl = nextUrl;
-      } catch (err) {
-        // Don't log 404s as warnings - they're expected when trying multiple endpoints
-        if (!err.message?.includes('404')) {
-          console.warn('[Teams Chat API] fetch error', currentUrl, err);
-        }
-        break;
-      }
-    }
-
-    return this.sortAndDedup(messages);
+    return headers;
   }
 
   findTokenInStorage() {
@@ -479,8 +610,13 @@ export class ApiMessageExtractor {
       msg.plainText ??
       '';
 
-    const bodyStr = typeof body === 'string' ? body : JSON.stringify(body);
+    const rawBody = typeof body === 'string' ? body : JSON.stringify(body);
+
+    // Reply metadata; a quoted reply is lifted out of the body into replyTo
+    const { replyTo, threadId, body: bodyStr } = this.extractReplyInfo(msg, id, rawBody);
+
     const text = this.stripHtml(bodyStr);
+    const html = /<[a-z][\s\S]*>/i.test(bodyStr) ? this.sanitizeHtml(bodyStr) : null;
 
     // Extract embedded images from HTML body
     const embeddedImages = this.extractEmbeddedImages(bodyStr);
@@ -491,9 +627,42 @@ export class ApiMessageExtractor {
     // Extract reactions
     const reactions = this.extractReactions(msg);
 
+    // Extract @mentions
+    const mentions = this.extractMentions(msg, bodyStr);
+
     // Derive type from already-defined messageType
     const derivedType = messageType.includes('system') ? 'system' : null;
 
+    // Edit/delete markers (v1 properties.edittime/deletetime, Graph lastEditedDateTime/deletedDateTime)
+    const editedAt = this.parseEpochOrIso(msg.properties?.edittime || msg.edittime || msg.lastEditedDateTime || msg.editedTime);
+    const deletedAt = this.parseEpochOrIso(msg.properties?.deletetime || msg.deletetime || msg.deletedDateTime);
+    const history = this.extractEditHistory(msg);
+
+    if (deletedAt) {
+      const deletedText = 'This message has been deleted.';
+      return {
+        id,
+        author,
+        timestamp,
+        isoTimestamp,
+        message: deletedText,
+        content: deletedText,
+        html: null,
+        attachments: [],
+        embeddedImages: [],
+        reactions,
+        mentions: [],
+        replyTo,
+        threadId,
+        edited: !!editedAt,
+        editedAt,
+        deleted: true,
+        deletedAt,
+        history,
+        type: derivedType
+      };
+    }
+
     if (!text && attachments.length === 0 && embeddedImages.length === 0) {
       return null;
     }
@@ -505,13 +674,176 @@ export class ApiMessageExtractor {
       isoTimestamp,
       message: text,
       content: text,
+      html,
       attachments,
       embeddedImages,
       reactions,
+      mentions,
+      replyTo,
+      threadId,
+      edited: !!editedAt || history.length > 0,
+      editedAt,
+      deleted: false,
+      deletedAt: null,
+      history,
+      editOf: msg.skypeeditedid || msg.properties?.skypeeditedid || null,
+      clientMessageId: msg.clientmessageid || msg.clientMessageId || null,
       type: derivedType
     };
   }
 
+  /**
+   * Parses epoch milliseconds (v1 sends them as strings) or ISO strings to ISO
+   */
+  parseEpochOrIso(value) {
+    if (!value) return null;
+    if (/^\d{10,}$/.test(String(value))) {
+      return new Date(parseInt(value, 10)).toISOString();
+    }
+    return this.parseIso(value);
+  }
+
+  /**
+   * Earlier versions of an edited message, oldest first, as [{ editedAt, text }].
+   * Only some payloads expose these (edit history arrays or JSON strings).
+   */
+  extractEditHistory(msg) {
+    let raw = msg.properties?.edithistory || msg.properties?.editHistory || msg.editHistory || msg.versions || null;
+    if (typeof raw === 'string') {
+      try {
+        raw = JSON.parse(raw);
+      } catch (_err) {
+        return [];
+      }
+    }
+    if (!Array.isArray(raw)) return [];
+
+    return raw
+      .map((version) => {
+        const content = version?.content ?? version?.body?.content ?? version?.text ?? '';
+        return {
+          editedAt: this.parseEpochOrIso(version?.edittime || version?.editedAt || version?.lastModifiedDateTime || version?.createdDateTime || version?.timestamp),
+          text: this.stripHtml(typeof content === 'string' ? content : JSON.stringify(content))
+        };
+      })
+      .filter((version) => version.text)
+      .sort((a, b) => (a.editedAt || '').localeCompare(b.editedAt || ''));
+  }
+
+  /**
+   * Folds edit versions that arrive as separate messages (skypeeditedid points at
+   * the original clientmessageid). Versions are grouped by the original they edit;
+   * only the newest is kept, with the original and every older version in its
+   * history, oldest first.
+   */
+  foldEditVersions(messages) {
+    const byClientId = new Map();
+    const versionsByOriginal = new Map();
+    messages.forEach((msg) => {
+      if (msg.clientMessageId) byClientId.set(String(msg.clientMessageId), msg);
+      if (!msg.editOf) return;
+      const key = String(msg.editOf);
+      if (!versionsByOriginal.has(key)) versionsByOriginal.set(key, []);
+      versionsByOriginal.get(key).push(msg);
+    });
+
+    const versionTime = (msg) => Date.parse(msg.editedAt || msg.isoTimestamp) || 0;
+    const folded = new Set();
+    versionsByOriginal.forEach((versions, originalId) => {
+      const original = byClientId.get(originalId);
+      const edits = versions.filter((msg) => msg !== original).sort((a, b) => versionTime(a) - versionTime(b));
+      const newest = edits.pop();
+      const older = original ? [original, ...edits] : edits;
+      if (!newest || older.length === 0) return;
+
+      const seen = new Set();
+      newest.history = [
+        ...older.flatMap((version) => [
+          ...(version.history || []),
+          { editedAt: version.editedAt || version.isoTimestamp, text: version.message }
+        ]),
+        ...(newest.history || [])
+      ].filter((entry) => {
+        const key = `${entry.editedAt}\n${entry.text}`;
+        if (seen.has(key)) return false;
+        seen.add(key);
+        return true;
+      });
+      newest.edited = true;
+      newest.editedAt = newest.editedAt || newest.isoTimestamp;
+      // Keep the original position in the conversation
+      newest.isoTimestamp = older[0].isoTimestamp || newest.isoTimestamp;
+      newest.timestamp = older[0].timestamp || newest.timestamp;
+      older.forEach((version) => folded.add(version));
+    });
+
+    return messages
+      .filter((msg) => !folded.has(msg))
+      .map(({ editOf, clientMessageId, ...msg }) => msg);
+  }
+
+  /**
+   * Parses reply metadata into { replyTo: { id, author, text } | null, threadId, body }.
+   * Channel posts carry their root in conversationLink (";messageid=") or
+   * rootMessageId/parentMessageId; root posts get their own id as threadId.
+   * 1:1 and group chats have no threads (threadId stays null): their
+   * quote-replies embed a Reply blockquote, which is removed from body.
+   */
+  extractReplyInfo(msg, id, htmlBody) {
+    let body = htmlBody;
+    let replyTo = null;
+
+    if (htmlBody && htmlBody.includes('schema.skype.com/Reply')) {
+      const div = HtmlSanitizer.parse(htmlBody);
+      const quote = div.querySelector('blockquote[itemtype="http://schema.skype.com/Reply"]');
+      if (quote) {
+        const authorEl = quote.querySelector('[itemprop="mri"]');
+        const previewEl = quote.querySelector('[itemprop="preview"]');
+        replyTo = {
+          id: quote.getAttribute('itemid') || null,
+          author: authorEl?.textContent?.trim() || null,
+          text: ((previewEl || quote).textContent || '').trim().substring(0, 200) || null
+        };
+        quote.remove();
+        body = div.innerHTML;
+      }
+    }
+
+    const link = String(msg.conversationLink || msg.conversationid || msg.conversationId || '');
+    const linkMatch = link.match(/;messageid=(\d+)/);
+    const rootMessageId = msg.rootMessageId || msg.properties?.rootMessageId || (linkMatch ? linkMatch[1] : null);
+    const parentMessageId = msg.parentMessageId || msg.properties?.parentMessageId || msg.replyToId || null;
+    // Channel conversation ids end in @thread.tacv2; group chats use @thread.v2 and 1:1 chats @unq.gbl.spaces
+    const isChannelPost = !!(rootMessageId || msg.channelIdentity || /@thread\.tacv2\b/i.test(link));
+
+    if (!replyTo && parentMessageId && String(parentMessageId) !== String(id)) {
+      replyTo = { id: String(parentMessageId), author: null, text: null };
+    }
+
+    const threadRoot = rootMessageId || parentMessageId || id;
+    const threadId = isChannelPost && threadRoot ? String(threadRoot) : null;
+
+    return { replyTo, threadId, body };
+  }
+
+  /**
+   * Fills replyTo author/text from the replied-to message when it is in the same set
+   */
+  linkReplies(messages) {
+    const byId = new Map(messages.filter((msg) => msg.id).map((msg) => [String(msg.id), msg]));
+    messages.forEach((msg) => {
+      if (!msg.replyTo || (msg.replyTo.author && msg.replyTo.text)) return;
+      const parent = byId.get(String(msg.replyTo.id));
+      if (!parent) return;
+      msg.replyTo = {
+        id: msg.replyTo.id,
+        author: msg.replyTo.author || parent.author || null,
+        text: msg.replyTo.text || (parent.message || '').substring(0, 200) || null
+      };
+    });
+    return messages;
+  }
+
   parseIso(value) {
     if (!value) return null;
     const parsed = Date.parse(value);
@@ -526,6 +858,14 @@ export class ApiMessageExtractor {
     return div.textContent?.trim() || '';
   }
 
+  /**
+   * Sanitizes a message body down to the HtmlSanitizer allowlist of formatting tags.
+   * Images are dropped here (see extractEmbeddedImages).
+   */
+  sanitizeHtml(value) {
+    return HtmlSanitizer.sanitize(value);
+  }
+
   extractAttachments(msg) {
     const out = [];
 
@@ -601,6 +941,83 @@ export class ApiMessageExtractor {
     return images;
   }
 
+  /**
+   * Extracts @mentions as [{ displayName, mri, offset }].
+   * offset is the character position in the plain-text message (null when the
+   * mention isn't in the body). Teams splits a name across several spans that
+   * share an itemid, so spans are grouped by itemid.
+   */
+  extractMentions(msg, htmlBody) {
+    // MRIs live next to the body: properties.mentions (v1) or mentions[] (Graph/v2)
+    const known = new Map();
+    let propMentions = msg?.properties?.mentions;
+    if (typeof propMentions === 'string') {
+      try {
+        propMentions = JSON.parse(propMentions);
+      } catch (_err) {
+        propMentions = null;
+      }
+    }
+    if (Array.isArray(propMentions)) {
+      propMentions.forEach((m) => {
+        known.set(String(m?.itemid ?? m?.itemId ?? m?.id), {
+          displayName: m?.displayName || m?.displayname || '',
+          mri: m?.mri || m?.id || null
+        });
+      });
+    }
+    if (Array.isArray(msg?.mentions)) {
+      msg.mentions.forEach((m) => {
+        const user = m?.mentioned?.user || m?.mentioned?.application || {};
+        known.set(String(m?.id), {
+          displayName: user.displayName || m?.mentionText || '',
+          mri: user.id || null
+        });
+      });
+    }
+
+    const mentions = [];
+    const seenIds = new Set();
+
+    if (htmlBody && typeof htmlBody === 'string') {
+      const div = HtmlSanitizer.parse(htmlBody);
+      const leading = (div.textContent || '').length - (div.textContent || '').trimStart().length;
+
+      const groups = new Map();
+      div.querySelectorAll('span[itemtype="http://schema.skype.com/Mention"], at').forEach((el, index) => {
+        const itemId = el.getAttribute('itemid') ?? el.getAttribute('id') ?? `dom-${index}`;
+        const text = el.textContent?.trim() || '';
+        if (groups.has(itemId)) {
+          groups.get(itemId).text += ` ${text}`;
+          return;
+        }
+        const range = div.ownerDocument.createRange();
+        range.setStart(div, 0);
+        range.setEndBefore(el);
+        groups.set(itemId, { text, offset: Math.max(range.toString().length - leading, 0) });
+      });
+
+      groups.forEach((group, itemId) => {
+        const info = known.get(String(itemId)) || {};
+        seenIds.add(String(itemId));
+        mentions.push({
+          displayName: info.displayName || group.text.trim(),
+          mri: info.mri || null,
+          offset: group.offset
+        });
+      });
+    }
+
+    // Mentions listed in properties but not rendered in the body
+    known.forEach((info, itemId) => {
+      if (!seenIds.has(itemId) && (info.displayName || info.mri)) {
+        mentions.push({ displayName: info.displayName, mri: info.mri, offset: null });
+      }
+    });
+
+    return mentions;
+  }
+
   extractReactions(msg) {
     const reactions = [];
 
@@ -734,16 +1151,18 @@ export class ApiMessageExtractor {
       isoTimestamp,
       message: readableMessage,
       content: readableMessage,
+      html: null,
       type: 'system',
       attachments: [],
       embeddedImages: [],
-      reactions: []
+      reactions: [],
+      mentions: []
     };
   }
 
   sortAndDedup(messages) {
     const seen = new Map();
-    messages.forEach((msg) => {
+    this.foldEditVersions(messages.filter(Boolean)).forEach((msg) => {
       if (!msg) return;
       const key = msg.id ? `id:${msg.id}` : `${msg.isoTimestamp || msg.timestamp}::${msg.author}::${msg.message}`;
       if (!seen.has(key)) {
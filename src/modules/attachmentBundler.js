@@ -0,0 +1,188 @@
+/**
+ * Attachment Bundler Module
+ * Downloads shared-file attachments with the captured SharePoint tokens so they
+ * can be packed next to an export, and rewrites their links to the local copies
+ */
+
+const DEFAULT_MAX_FILE_BYTES = 50 * 1024 * 1024;
+const DEFAULT_MAX_TOTAL_BYTES = 250 * 1024 * 1024;
+
+export class AttachmentBundler {
+  /**
+   * tokens is the { host: { token } } map kept by background.js
+   */
+  constructor({ tokens = {}, maxFileBytes = DEFAULT_MAX_FILE_BYTES, maxTotalBytes = DEFAULT_MAX_TOTAL_BYTES, folder = 'files' } = {}) {
+    this.tokens = tokens || {};
+    this.maxFileBytes = maxFileBytes;
+    this.maxTotalBytes = maxTotalBytes;
+    this.folder = folder;
+  }
+
+  /**
+   * True for links this bundler knows how to download
+   */
+  isSharePointUrl(href) {
+    try {
+      const url = new URL(href);
+      return url.protocol === 'https:' && /\.sharepoint\.(com|us)$/i.test(url.hostname);
+    } catch (_err) {
+      return false;
+    }
+  }
+
+  /**
+   * Finds a token for a host. OneDrive (tenant-my) and team sites (tenant) share
+   * an audience in most tenants, so a token from the sibling host is tried too.
+   */
+  resolveToken(host) {
+    if (this.tokens[host]?.token) return this.tokens[host].token;
+    const tenant = host.replace(/-my\./i, '.');
+    const sibling = Object.keys(this.tokens).find((candidate) => candidate.replace(/-my\./i, '.') === tenant);
+    return sibling ? this.tokens[sibling].token : null;
+  }
+
+  /**
+   * SharePoint "shares" endpoint that streams the file behind a sharing or direct link
+   */
+  buildSharesUrl(href) {
+    const url = new URL(href);
+    const bytes = new TextEncoder().encode(href);
+    const encoded = btoa(String.fromCharCode(...bytes))
+      .replace(/=+$/, '')
+      .replace(/\//g, '_')
+      .replace(/\+/g, '-');
+    return `${url.origin}/_api/v2.0/shares/u!${encoded}/driveItem/content`;
+  }
+
+  /**
+   * Makes a file name safe for the archive and unique within it
+   */
+  toArchivePath(name, href, usedPaths) {
+    let base = (name || '').trim();
+    if (!base) {
+      try {
+        base = decodeURIComponent(new URL(href).pathname.split('/').pop() || '');
+      } catch (_err) {
+        base = '';
+      }
+    }
+    base = (base || 'attachment').replace(/[\\/:*?"<>|\u0000-\u001f]/g, '_').slice(0, 150);
+
+    const dot = base.lastIndexOf('.');
+    const stem = dot > 0 ? base.slice(0, dot) : base;
+    const ext = dot > 0 ? base.slice(dot) : '';
+    let candidate = `${this.folder}/${base}`;
+    let counter = 2;
+    while (usedPaths.has(candidate.toLowerCase())) {
+      candidate = `${this.folder}/${stem} (${counter})${ext}`;
+      counter++;
+    }
+    usedPaths.add(candidate.toLowerCase());
+    return candidate;
+  }
+
+  /**
+   * Downloads one attachment. Throws with a readable reason on failure.
+   */
+  async fetchAttachment(href, remainingBytes) {
+    const host = new URL(href).hostname;
+    const token = this.resolveToken(host);
+    if (!token) {
+      throw new Error(`No SharePoint token captured for ${host} (open a file from that site in Teams first)`);
+    }
+
+    const headers = { 'Authorization': token };
+    let response = await fetch(this.buildSharesUrl(href), { headers });
+    if (!response.ok && response.status !== 401 && response.status !== 403) {
+      // Direct file paths can also be fetched as-is
+      response = await fetch(href, { headers });
+    }
+    if (!response.ok) {
+      throw new Error(`SharePoint returned ${response.status}`);
+    }
+
+    const limit = Math.min(this.maxFileBytes, remainingBytes);
+    const declared = parseInt(response.headers.get('content-length') || '', 10);
+    if (declared > limit) {
+      response.body?.cancel();
+      throw new Error(this.describeLimit(declared, limit));
+    }
+
+    const data = new Uint8Array(await response.arrayBuffer());
+    if (data.length > limit) {
+      throw new Error(this.describeLimit(data.length, limit));
+    }
+    return data;
+  }
+
+  describeLimit(size, limit) {
+    const mb = (bytes) => `${(bytes / 1024 / 1024).toFixed(1)} MB`;
+    return limit < this.maxFileBytes
+      ? `Skipped: ${mb(size)} would exceed the ${mb(this.maxTotalBytes)} export size cap`
+      : `Skipped: ${mb(size)} is over the ${mb(this.maxFileBytes)} per-file cap`;
+  }
+
+  /**
+   * Downloads every attachment in { name: messages[] } and returns
+   * { conversations, files: [{ path, data }], report: [{ name, href, status, path, size, reason }] }.
+   * Downloaded attachments get href rewritten to their relative path (originalHref keeps the link).
+   */
+  async bundle(conversations, { onProgress = null } = {}) {
+    const byHref = new Map();
+    Object.values(conversations).forEach((messages) => {
+      (messages || []).forEach((msg) => {
+        (msg.attachments || []).forEach((att) => {
+          if (att?.href && !byHref.has(att.href)) {
+            byHref.set(att.href, att.name || att.label || att.text || '');
+          }
+        });
+      });
+    });
+
+    const files = [];
+    const report = [];
+    const localPaths = new Map();
+    const usedPaths = new Set();
+    let totalBytes = 0;
+    let index = 0;
+
+    for (const [href, name] of byHref) {
+      index++;
+      if (onProgress) onProgress({ index, total: byHref.size, name });
+
+      if (!this.isSharePointUrl(href)) {
+        report.push({ name, href, status: 'skipped', reason: 'Not a SharePoint file link' });
+        continue;
+      }
+
+      try {
+        const data = await this.fetchAttachment(href, this.maxTotalBytes - totalBytes);
+        const path = this.toArchivePath(name, href, usedPaths);
+        files.push({ path, data });
+        localPaths.set(href, path);
+        totalBytes += data.length;
+        report.push({ name, href, status: 'ok', path, size: data.length });
+      } catch (err) {
+        console.warn(`[Teams Chat Exporter] Attachment "${name}" not bundled:`, err.message);
+        report.push({ name, href, status: err.message.startsWith('Skipped:') ? 'skipped' : 'failed', reason: err.message });
+      }
+    }
+
+    const rewritten = {};
+    Object.entries(conversations).forEach(([conversationName, messages]) => {
+      rewritten[conversationName] = (messages || []).map((msg) => {
+        if (!Array.isArray(msg.attachments) || !msg.attachments.some((att) => localPaths.has(att?.href))) {
+          return msg;
+        }
+        return {
+          ...msg,
+          attachments: msg.attachments.map((att) => (
+            localPaths.has(att?.href) ? { ...att, href: localPaths.get(att.href), originalHref: att.href } : att
+          ))
+        };
+      });
+    });
+
+    return { conversations: rewritten, files, report, totalBytes };
+  }
+}
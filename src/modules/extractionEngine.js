@@ -4,11 +4,22 @@
  */
 
 import { ApiMessageExtractor } from './apiMessageExtractor.js';
+import { TeamsVariantDetector } from './teamsVariantDetector.js';
 
 export class ExtractionEngine {
   constructor() {
     this.apiMessageExtractor = new ApiMessageExtractor();
     this.embedAvatarsEnabled = true;
+    // Non-emoji message images are inlined as data URIs so exports open outside Teams
+    this.embedImagesEnabled = true;
+    this.imageConcurrency = 4;
+    this.imageMaxBytes = 5 * 1024 * 1024;
+    this.imageBudgetBytes = 40 * 1024 * 1024;
+    this.resetImageEmbedding();
+    this.cancelRequested = false;
+    // { [conversationName]: conversationId } for the last extraction, used by
+    // background.js to merge re-exports into one stored conversation
+    this.lastConversationIds = {};
   }
 
   /**
@@ -80,6 +91,115 @@ export class ExtractionEngine {
     });
   }
 
+  /**
+   * Starts a new image cache and size budget (one per extraction run)
+   */
+  resetImageEmbedding() {
+    this.imageCache = new Map();
+    this.imageBytesRemaining = this.imageBudgetBytes;
+  }
+
+  /**
+   * Fetches a message image as a data URI. AMS images need the Teams session, so a
+   * failed cookie request is retried with the chat service token. Returns null on
+   * failure or when the image is over the per-image cap or the remaining budget.
+   */
+  async fetchImageAsDataUri(url) {
+    if (!url || url.startsWith('data:')) {
+      return url;
+    }
+
+    try {
+      let response = await fetch(url, { credentials: 'include' });
+      if ((response.status === 401 || response.status === 403) && /asm\.skype\.com|\/ams\//i.test(url)) {
+        const token = await this.apiMessageExtractor.resolveAuthToken();
+        if (token) {
+          const { Authorization } = this.apiMessageExtractor.buildRequestHeaders(token);
+          response = await fetch(url, { headers: { Authorization } });
+        }
+      }
+      if (!response.ok) {
+        return null;
+      }
+
+      const limit = Math.min(this.imageMaxBytes, this.imageBytesRemaining);
+      const declared = parseInt(response.headers.get('content-length') || '', 10);
+      if (limit <= 0 || declared > limit) {
+        console.log(`Skipping image over the size budget (${declared} bytes): ${url.substring(0, 80)}`);
+        return null;
+      }
+
+      // Several images download at once, so the declared (or capped) size is held
+      // back from the budget while this one is read, then swapped for its real size
+      const reserved = declared > 0 ? declared : limit;
+      this.imageBytesRemaining -= reserved;
+      let bytes;
+      try {
+        bytes = new Uint8Array(await response.arrayBuffer());
+      } finally {
+        this.imageBytesRemaining += reserved;
+      }
+      if (bytes.length > limit || bytes.length > this.imageBytesRemaining) {
+        return null;
+      }
+      this.imageBytesRemaining -= bytes.length;
+
+      let binary = '';
+      for (let i = 0; i < bytes.length; i += 0x8000) {
+        binary += String.fromCharCode.apply(null, bytes.subarray(i, i + 0x8000));
+      }
+      const contentType = (response.headers.get('content-type') || 'image/png').split(';')[0];
+      return `data:${contentType};base64,${btoa(binary)}`;
+    } catch (err) {
+      return null;
+    }
+  }
+
+  /**
+   * Inlines non-emoji embedded images as data URIs (originalSrc keeps the URL).
+   * Images are fetched a few at a time and cached for the whole extraction run.
+   */
+  async embedImages(messages) {
+    if (!this.embedImagesEnabled) {
+      return messages;
+    }
+
+    const pending = new Set();
+    for (const msg of messages) {
+      for (const img of msg.embeddedImages || []) {
+        if (!img.isEmoji && img.src && !img.src.startsWith('data:') && !this.imageCache.has(img.src)) {
+          pending.add(img.src);
+        }
+      }
+    }
+
+    if (pending.size > 0) {
+      console.log(`Fetching ${pending.size} embedded image(s)...`);
+      const queue = Array.from(pending);
+      const worker = async () => {
+        while (queue.length > 0) {
+          const url = queue.shift();
+          this.imageCache.set(url, await this.fetchImageAsDataUri(url));
+        }
+      };
+      await Promise.all(Array.from({ length: Math.min(this.imageConcurrency, queue.length) }, worker));
+    }
+
+    return messages.map(msg => {
+      if (!Array.isArray(msg.embeddedImages) || msg.embeddedImages.length === 0) {
+        return msg;
+      }
+
+      return {
+        ...msg,
+        embeddedImages: msg.embeddedImages.map(img => {
+          const dataUri = !img.isEmoji && this.imageCache.get(img.src);
+          return dataUri ? { ...img, src: dataUri, originalSrc: img.src } : img;
+        })
+      };
+    });
+  }
+
   delay(ms) {
     return new Promise(resolve => setTimeout(resolve, ms));
   }
@@ -111,7 +231,16 @@ export class ExtractionEngine {
 
     console.log(`Active chat: ${activeChatName}`);
 
+    // A from/to window produces a one-off slice: label it and keep it out of the canonical copy
+    const dateWindow = await this.apiMessageExtractor.loadDateWindow();
+    const hasDateWindow = !!(dateWindow.startMs || dateWindow.endMs);
+    if (hasDateWindow) {
+      activeChatName = `${activeChatName} (${this.formatDateWindow(dateWindow)})`;
+    }
+
     let apiMessages = [];
+    let upToDate = false;
+    this.lastConversationIds = conversationId && !hasDateWindow ? { [activeChatName]: conversationId } : {};
 
     // Try API extraction first (works for v1)
     if (conversationId && token) {
@@ -119,6 +248,12 @@ export class ExtractionEngine {
       console.log(`Token available (${token.length} chars)`);
       console.log("Trying API extraction...");
       apiMessages = await this.apiMessageExtractor.fetchConversation(conversationId);
+      upToDate = this.isUpToDate(conversationId);
+    }
+
+    if (upToDate) {
+      console.log("No new messages since the last export");
+      return { [activeChatName]: [] };
     }
 
     // If API fails or returns nothing, try DOM extraction (works for v2)
@@ -128,7 +263,7 @@ export class ExtractionEngine {
       // Scroll to load more messages first
       await this.scrollToLoadMessages();
 
-      apiMessages = this.extractMessagesFromDOM();
+      apiMessages = this.extractMessagesFromDOM(dateWindow);
 
       if (apiMessages.length > 0) {
         console.log(`Extracted ${apiMessages.length} messages via DOM`);
@@ -146,7 +281,133 @@ export class ExtractionEngine {
     console.log("Embedding avatars...");
     const messagesWithAvatars = await this.embedAvatars(preparedMessages);
 
-    return { [activeChatName]: messagesWithAvatars };
+    console.log("Embedding images...");
+    this.resetImageEmbedding();
+    const messagesWithImages = await this.embedImages(messagesWithAvatars);
+
+    return { [activeChatName]: messagesWithImages };
+  }
+
+  /**
+   * Formats a date window as "2024-07-01 to 2024-09-30" for conversation names
+   */
+  formatDateWindow({ startMs, endMs }) {
+    const fmt = (ms) => {
+      const d = new Date(ms);
+      return `${d.getFullYear()}-${String(d.getMonth() + 1).padStart(2, '0')}-${String(d.getDate()).padStart(2, '0')}`;
+    };
+    if (startMs && endMs) return `${fmt(startMs)} to ${fmt(endMs)}`;
+    if (startMs) return `from ${fmt(startMs)}`;
+    return `until ${fmt(endMs)}`;
+  }
+
+  /**
+   * True when the last fetch for this conversation found nothing newer than the stored export
+   */
+  isUpToDate(conversationId) {
+    const lastSync = this.apiMessageExtractor.lastSync;
+    return !!(lastSync && lastSync.conversationId === conversationId && lastSync.upToDate);
+  }
+
+  /**
+   * Extracts every chat the user has (API listing, sidebar fallback).
+   * onProgress receives { phase, current, total, name, count, message }.
+   * Returns { conversations, conversationIds, total, exported, failed, cancelled }.
+   */
+  async extractAllChats({ onProgress } = {}) {
+    this.cancelRequested = false;
+    const report = (update) => {
+      if (typeof onProgress === 'function') onProgress(update);
+    };
+
+    await this.updateBridge();
+    await this.delay(300);
+
+    report({ phase: 'listing', message: 'Listing conversations...' });
+
+    const sidebar = TeamsVariantDetector.listSidebarConversations();
+    let conversations = await this.apiMessageExtractor.listConversations();
+
+    if (conversations.length > 0) {
+      // Prefer the names the user sees in the sidebar (1:1 chats have no topic)
+      const sidebarNames = new Map(sidebar.filter((c) => c.id).map((c) => [c.id, c.name]));
+      conversations = conversations.map((conv) => ({
+        ...conv,
+        name: sidebarNames.get(conv.id) || conv.name
+      }));
+    } else {
+      console.log('Conversation listing returned nothing, using sidebar items...');
+      conversations = sidebar.filter((c) => c.id);
+    }
+
+    const total = conversations.length;
+    report({ phase: 'listed', total, message: `Found ${total} conversations` });
+
+    const dateWindow = await this.apiMessageExtractor.loadDateWindow();
+    const windowLabel = dateWindow.startMs || dateWindow.endMs ? ` (${this.formatDateWindow(dateWindow)})` : '';
+
+    const results = {};
+    const failed = [];
+    let cancelled = false;
+    this.lastConversationIds = {};
+    this.resetImageEmbedding();
+
+    for (let i = 0; i < conversations.length; i++) {
+      if (this.cancelRequested) {
+        cancelled = true;
+        break;
+      }
+
+      const conv = conversations[i];
+      const baseName = conv.name || `Chat_${conv.id.replace(/^19:/, '').substring(0, 12)}`;
+      let name = `${baseName}${windowLabel}`;
+      for (let n = 2; results[name]; n++) {
+        name = `${baseName} (${n})${windowLabel}`;
+      }
+
+      report({ phase: 'fetching', current: i + 1, total, name, message: `Fetching ${name}...` });
+
+      try {
+        const messages = await this.apiMessageExtractor.fetchConversation(conv.id);
+        if (messages.length > 0) {
+          const prepared = this.prepareMessages(this.mergeMessages(messages));
+          results[name] = await this.embedImages(await this.embedAvatars(prepared));
+          if (!windowLabel) this.lastConversationIds[name] = conv.id;
+          report({ phase: 'fetched', current: i + 1, total, name, count: prepared.length });
+        } else if (this.isUpToDate(conv.id)) {
+          // Nothing new; still included so the stored copy is shown
+          results[name] = [];
+          this.lastConversationIds[name] = conv.id;
+          report({ phase: 'uptodate', current: i + 1, total, name });
+        } else {
+          report({ phase: 'empty', current: i + 1, total, name });
+        }
+      } catch (err) {
+        console.warn(`Failed to extract ${name}:`, err);
+        failed.push(name);
+        report({ phase: 'error', current: i + 1, total, name, message: err.message });
+      }
+
+      // Small pause between conversations to stay under Teams rate limits
+      await this.delay(250);
+    }
+
+    const exported = Object.values(results).filter((messages) => messages.length > 0).length;
+    report({
+      phase: cancelled ? 'cancelled' : 'complete',
+      total,
+      count: exported,
+      message: cancelled ? `Cancelled after ${exported} conversations` : `Exported ${exported} of ${total} conversations`
+    });
+
+    return { conversations: results, conversationIds: this.lastConversationIds, total, exported, failed, cancelled };
+  }
+
+  /**
+   * Stops a running extractAllChats after the current conversation
+   */
+  cancelExtraction() {
+    this.cancelRequested = true;
   }
 
   /**
@@ -176,9 +437,10 @@ export class ExtractionEngine {
   }
 
   /**
-   * Extract messages directly from DOM (Teams v2 fallback)
+   * Extract messages directly from DOM (Teams v2 fallback).
+   * Messages outside the optional { startMs, endMs } window are dropped.
    */
-  extractMessagesFromDOM() {
+  extractMessagesFromDOM(dateWindow = {}) {
     const messageElements = document.querySelectorAll('[data-tid="chat-pane-message"]');
     console.log(`Found ${messageElements.length} message elements in DOM`);
 
@@ -218,8 +480,12 @@ export class ExtractionEngine {
                          msg.querySelector('[class*="message-body"]') ||
                          msg.querySelector('[class*="text-content"]') ||
                          msg.querySelector('div[dir="auto"]');
+        let html = null;
+        let mentions = [];
         if (contentEl) {
           content = contentEl.textContent?.trim() || '';
+          html = this.apiMessageExtractor.sanitizeHtml(contentEl.innerHTML) || null;
+          mentions = this.apiMessageExtractor.extractMentions({}, contentEl.innerHTML);
         }
 
         // Extract attachments
@@ -247,18 +513,25 @@ export class ExtractionEngine {
           }
         });
 
+        const isoTimestamp = this.parseTimestamp(timestamp);
+        if (!this.apiMessageExtractor.isInDateWindow({ isoTimestamp }, dateWindow)) {
+          return;
+        }
+
         // Only add if there's content
         if (content || attachments.length > 0 || embeddedImages.length > 0) {
           messages.push({
             id: mid || `dom-${index}`,
             author,
             timestamp,
-            isoTimestamp: this.parseTimestamp(timestamp),
+            isoTimestamp,
             message: content,
             content,
+            html,
             attachments,
             embeddedImages,
             reactions: [], // Could extract reactions too if needed
+            mentions,
             type: null
           });
         }
@@ -0,0 +1,91 @@
+/**
+ * HTML Sanitizer Module
+ * Reduces message markup to an allowlist of formatting tags. Used by the
+ * extractor when it builds a message's `html` field and again by the results
+ * viewer, which never trusts stored markup (it can come from uploaded JSON).
+ */
+
+const ALLOWED_TAGS = new Set([
+  'p', 'br', 'div', 'span', 'b', 'strong', 'i', 'em', 'u', 's', 'strike', 'del', 'sub', 'sup',
+  'code', 'pre', 'blockquote', 'ul', 'ol', 'li', 'a', 'hr',
+  'table', 'thead', 'tbody', 'tfoot', 'tr', 'th', 'td',
+  'h1', 'h2', 'h3', 'h4', 'h5', 'h6'
+]);
+
+// Removed with their content; any other unknown tag is unwrapped so its text survives
+const DROPPED_TAGS = new Set([
+  'script', 'style', 'iframe', 'frame', 'object', 'embed', 'img', 'video', 'audio', 'svg', 'math',
+  'link', 'meta', 'base', 'form', 'input', 'button', 'textarea', 'select', 'noscript', 'template'
+]);
+
+const ALLOWED_ATTRS = {
+  a: ['href', 'title'],
+  td: ['colspan', 'rowspan'],
+  th: ['colspan', 'rowspan'],
+  ol: ['start'],
+  span: ['itemtype', 'itemid']
+};
+
+export class HtmlSanitizer {
+  /**
+   * Parses markup in an inert document, so nothing loads or runs, and returns
+   * its root element
+   */
+  static parse(html) {
+    const doc = document.implementation.createHTMLDocument('');
+    const root = doc.createElement('div');
+    root.innerHTML = html || '';
+    return root;
+  }
+
+  static clean(node) {
+    Array.from(node.childNodes).forEach((child) => {
+      if (child.nodeType === Node.COMMENT_NODE) {
+        child.remove();
+        return;
+      }
+      if (child.nodeType !== Node.ELEMENT_NODE) return;
+
+      const tag = child.tagName.toLowerCase();
+      if (DROPPED_TAGS.has(tag)) {
+        child.remove();
+        return;
+      }
+
+      this.clean(child);
+
+      if (!ALLOWED_TAGS.has(tag)) {
+        child.replaceWith(...Array.from(child.childNodes));
+        return;
+      }
+
+      const keep = ALLOWED_ATTRS[tag] || [];
+      Array.from(child.attributes).forEach((attr) => {
+        if (!keep.includes(attr.name.toLowerCase())) {
+          child.removeAttribute(attr.name);
+        }
+      });
+
+      if (tag === 'a') {
+        const href = child.getAttribute('href') || '';
+        if (/^(https?:|mailto:)/i.test(href.trim())) {
+          child.setAttribute('target', '_blank');
+          child.setAttribute('rel', 'noopener noreferrer');
+        } else {
+          child.removeAttribute('href');
+        }
+      }
+    });
+  }
+
+  /**
+   * Sanitized markup: scripts, media and event handlers removed, images
+   * dropped (they are kept separately as embeddedImages)
+   */
+  static sanitize(html) {
+    if (!html) return '';
+    const root = this.parse(html);
+    this.clean(root);
+    return root.innerHTML.trim();
+  }
+}
@@ -0,0 +1,111 @@
+/**
+ * Meeting Filter Module
+ * Parses dates out of the recap meeting dropdown's option text and narrows a
+ * batch run to a date range and/or title pattern
+ */
+
+const MONTHS = ['jan', 'feb', 'mar', 'apr', 'may', 'jun', 'jul', 'aug', 'sep', 'oct', 'nov', 'dec'];
+const WEEKDAYS = ['sun', 'mon', 'tue', 'wed', 'thu', 'fri', 'sat'];
+const MONTH_PATTERN = '(jan(?:uary)?|feb(?:ruary)?|mar(?:ch)?|apr(?:il)?|may|june?|july?|aug(?:ust)?|sept?(?:ember)?|oct(?:ober)?|nov(?:ember)?|dec(?:ember)?)\\b\\.?';
+
+export class MeetingFilter {
+  static addDays(date, days) {
+    return new Date(date.getFullYear(), date.getMonth(), date.getDate() + days);
+  }
+
+  static toYear(value) {
+    const year = parseInt(value, 10);
+    return year < 100 ? 2000 + year : year;
+  }
+
+  /**
+   * Builds a local date, returning null for impossible ones (e.g. 31 February)
+   */
+  static makeDate(year, month, day) {
+    const date = new Date(year, month, day);
+    return date.getMonth() === month && date.getDate() === day ? date : null;
+  }
+
+  /**
+   * Parses the meeting date from option text such as "Tuesday, March 4",
+   * "4 Mar 2025 10:00", "3/4/2025" or "Yesterday". Dates without a year are taken
+   * as the most recent past occurrence relative to reference. Returns a local
+   * Date at midnight, or null when no date is recognised.
+   */
+  static parseDate(text, reference = new Date()) {
+    const value = (text || '').trim();
+    const lower = value.toLowerCase();
+    const today = new Date(reference.getFullYear(), reference.getMonth(), reference.getDate());
+
+    // Yearless dates later than tomorrow belong to the previous year
+    const withYear = (year, month, day) => {
+      if (year !== null) return this.makeDate(year, month, day);
+      const date = this.makeDate(today.getFullYear(), month, day);
+      if (date && date > this.addDays(today, 1)) return this.makeDate(today.getFullYear() - 1, month, day);
+      return date;
+    };
+
+    if (/\btoday\b/.test(lower)) return today;
+    if (/\byesterday\b/.test(lower)) return this.addDays(today, -1);
+
+    let match = value.match(/\b(\d{4})-(\d{1,2})-(\d{1,2})\b/);
+    if (match) return this.makeDate(+match[1], +match[2] - 1, +match[3]);
+
+    match = value.match(new RegExp(`\\b${MONTH_PATTERN}\\s+(\\d{1,2})(?:st|nd|rd|th)?\\b(?:,?\\s+(\\d{4}))?`, 'i'));
+    if (match) return withYear(match[3] ? +match[3] : null, MONTHS.indexOf(match[1].slice(0, 3).toLowerCase()), +match[2]);
+
+    match = value.match(new RegExp(`\\b(\\d{1,2})(?:st|nd|rd|th)?\\.?\\s+${MONTH_PATTERN}(?:,?\\s+(\\d{4}))?`, 'i'));
+    if (match) return withYear(match[3] ? +match[3] : null, MONTHS.indexOf(match[2].slice(0, 3).toLowerCase()), +match[1]);
+
+    // Numeric dates are read month-first unless the first part can only be a day
+    match = value.match(/\b(\d{1,2})\/(\d{1,2})(?:\/(\d{2,4}))?\b/) || value.match(/\b(\d{1,2})\.(\d{1,2})\.(\d{2,4})\b/);
+    if (match) {
+      let [month, day] = [+match[1], +match[2]];
+      if (month > 12 || match[0].includes('.')) [month, day] = [day, month];
+      return withYear(match[3] ? this.toYear(match[3]) : null, month - 1, day);
+    }
+
+    // A bare weekday means the most recent one, today included
+    match = lower.match(/\b(sun|mon|tue|wed|thu|fri|sat)(?:s|nes|rs|ur)?(?:day)?\b/);
+    if (match) {
+      const back = (today.getDay() - WEEKDAYS.indexOf(match[1]) + 7) % 7;
+      return this.addDays(today, -back);
+    }
+
+    return null;
+  }
+
+  /**
+   * Parses a date input value (YYYY-MM-DD) as a local date
+   */
+  static parseInputDate(value) {
+    const match = (value || '').match(/^(\d{4})-(\d{2})-(\d{2})$/);
+    return match ? this.makeDate(+match[1], +match[2] - 1, +match[3]) : null;
+  }
+
+  /**
+   * Compiles the filter inputs. from/to are YYYY-MM-DD strings (inclusive) and
+   * titlePattern a case-insensitive regular expression; throws on an invalid pattern.
+   */
+  static compile({ from = '', to = '', titlePattern = '' } = {}) {
+    return {
+      from: this.parseInputDate(from),
+      to: this.parseInputDate(to),
+      title: titlePattern.trim() ? new RegExp(titlePattern.trim(), 'i') : null
+    };
+  }
+
+  /**
+   * Whether a meeting ({ text, date }) passes a compiled filter. Meetings whose
+   * date could not be parsed never match a date range.
+   */
+  static matches(meeting, filter) {
+    if (filter.title && !filter.title.test(meeting.text)) return false;
+    if (filter.from || filter.to) {
+      if (!meeting.date) return false;
+      if (filter.from && meeting.date < filter.from) return false;
+      if (filter.to && meeting.date > filter.to) return false;
+    }
+    return true;
+  }
+}
@@ -0,0 +1,224 @@
+/**
+ * Meeting Package Module
+ * Merges a meeting's transcript, its 19:meeting_ chat thread and the recording's
+ * drive item metadata into one timeline, exported as JSON and standalone HTML
+ */
+
+import { TranscriptFormatter } from './transcriptFormatter.js';
+
+// Drive item fields worth keeping; @content.downloadUrl is a short-lived credential and is dropped
+const DRIVE_ITEM_FIELDS = ['id', 'name', 'size', 'webUrl', 'createdDateTime', 'lastModifiedDateTime', 'file', 'video', 'media', 'parentReference'];
+
+export class MeetingPackage {
+  static parseTime(value) {
+    if (!value) return null;
+    const ms = typeof value === 'number' ? value : Date.parse(value);
+    return Number.isNaN(ms) ? null : ms;
+  }
+
+  /**
+   * Reduces a Graph/SharePoint drive item to its descriptive fields.
+   * captured is the { driveId, itemId, fileName, fileSize } record from transcriptAPIFetcher.js.
+   */
+  static describeDriveItem(item, captured = null) {
+    if (!item && !captured) return null;
+    const recording = {};
+    DRIVE_ITEM_FIELDS.forEach((field) => {
+      if (item?.[field] !== undefined) recording[field] = item[field];
+    });
+    if (item?.createdBy?.user) {
+      recording.createdBy = item.createdBy.user.displayName || item.createdBy.user.email || '';
+    }
+    if (captured) {
+      recording.driveId = captured.driveId || recording.parentReference?.driveId || '';
+      recording.itemId = captured.itemId || recording.id || '';
+      recording.name = recording.name || captured.fileName || '';
+      recording.size = recording.size || captured.fileSize || null;
+    }
+    return recording;
+  }
+
+  /**
+   * Interleaves transcript cues and chat messages by wall-clock time.
+   * Cue offsets are relative to the recording, so without recordingStart the
+   * transcript can't be placed against the chat; the timeline is then marked
+   * unaligned and keeps the chat first, followed by the transcript.
+   */
+  static buildTimeline({ entries = [], messages = [], recordingStart = null } = {}) {
+    const startMs = this.parseTime(recordingStart);
+
+    const cues = TranscriptFormatter.normalizeEntries(entries).map((cue) => ({
+      type: 'transcript',
+      time: startMs !== null ? new Date(startMs + cue.start * 1000).toISOString() : null,
+      offsetSeconds: cue.start,
+      endOffsetSeconds: cue.end,
+      speaker: cue.speaker,
+      text: cue.text
+    }));
+
+    const chat = messages.filter(Boolean).map((msg) => {
+      const ms = this.parseTime(msg.isoTimestamp);
+      return {
+        type: 'chat',
+        time: ms !== null ? new Date(ms).toISOString() : null,
+        offsetSeconds: ms !== null && startMs !== null ? (ms - startMs) / 1000 : null,
+        id: msg.id || null,
+        author: msg.author || 'Unknown',
+        text: msg.message || '',
+        attachments: (msg.attachments || []).map((att) => ({ name: att.name || att.label || att.text || '', href: att.href || '' })),
+        replyTo: msg.replyTo || null,
+        edited: !!msg.edited,
+        deleted: !!msg.deleted
+      };
+    });
+
+    if (startMs === null) {
+      return { aligned: false, items: [...chat, ...cues] };
+    }
+
+    // Stable sort keeps transcript cues ahead of chat messages posted at the same instant
+    const sortKey = (item) => this.parseTime(item.time) ?? Number.MAX_SAFE_INTEGER;
+    const items = [...cues, ...chat].sort((a, b) => sortKey(a) - sortKey(b));
+    return { aligned: true, items };
+  }
+
+  /**
+   * Builds the package object written to JSON and rendered to HTML
+   */
+  static build({ title = 'Meeting', meeting = {}, entries = [], messages = [], recording = null, chatError = null } = {}) {
+    const recordingStart = meeting.transcriptStartTime || meeting.recordingStartTime || null;
+    const timeline = this.buildTimeline({ entries, messages, recordingStart });
+    const cues = timeline.items.filter((item) => item.type === 'transcript');
+    const speakers = new Set(cues.map((item) => item.speaker));
+
+    return {
+      title,
+      exportedAt: new Date().toISOString(),
+      meeting: {
+        threadId: meeting.threadId || null,
+        calendarEventId: meeting.calendarEventId || null,
+        startTime: meeting.startTime || null,
+        endTime: meeting.endTime || null,
+        recordingStart
+      },
+      recording,
+      transcript: {
+        entryCount: cues.length,
+        speakers: Array.from(speakers)
+      },
+      chat: {
+        messageCount: timeline.items.length - cues.length,
+        error: chatError
+      },
+      aligned: timeline.aligned,
+      timeline: timeline.items
+    };
+  }
+
+  static toJson(pkg) {
+    return JSON.stringify(pkg, null, 2);
+  }
+
+  static escapeHtml(text) {
+    return String(text ?? '')
+      .replace(/&/g, '&amp;')
+      .replace(/</g, '&lt;')
+      .replace(/>/g, '&gt;')
+      .replace(/"/g, '&quot;')
+      .replace(/'/g, '&#39;');
+  }
+
+  static formatWallTime(iso) {
+    const ms = this.parseTime(iso);
+    return ms === null ? '' : new Date(ms).toLocaleString();
+  }
+
+  /**
+   * Renders the package as a standalone HTML page
+   */
+  static toHtml(pkg) {
+    const esc = (value) => this.escapeHtml(value);
+    const offset = (seconds) => (seconds === null || seconds === undefined
+      ? ''
+      : `${seconds < 0 ? '-' : ''}${TranscriptFormatter.formatTimestamp(Math.abs(seconds)).split('.')[0]}`);
+
+    const details = [
+      ['Meeting start', this.formatWallTime(pkg.meeting.startTime)],
+      ['Meeting end', this.formatWallTime(pkg.meeting.endTime)],
+      ['Recording start', this.formatWallTime(pkg.meeting.recordingStart)],
+      ['Transcript', `${pkg.transcript.entryCount} entries, ${pkg.transcript.speakers.length} speakers`],
+      ['Chat', pkg.chat.error ? `Not included (${pkg.chat.error})` : `${pkg.chat.messageCount} messages`]
+    ];
+    if (pkg.recording) {
+      details.push(
+        ['Recording', pkg.recording.name || ''],
+        ['Size', pkg.recording.size ? `${(pkg.recording.size / 1024 / 1024).toFixed(1)} MB` : ''],
+        ['Duration', pkg.recording.video?.duration ? TranscriptFormatter.formatDuration(pkg.recording.video.duration / 1000) : ''],
+        ['Recorded by', pkg.recording.createdBy || ''],
+        ['Created', this.formatWallTime(pkg.recording.createdDateTime)]
+      );
+    }
+    const detailRows = details
+      .filter(([, value]) => value)
+      .map(([label, value]) => `<tr><th>${esc(label)}</th><td>${esc(value)}</td></tr>`)
+      .join('');
+    const recordingLink = pkg.recording?.webUrl && /^https:\/\//i.test(pkg.recording.webUrl)
+      ? `<p><a href="${esc(pkg.recording.webUrl)}" target="_blank" rel="noopener">Open recording</a></p>`
+      : '';
+
+    const items = pkg.timeline.map((item) => {
+      if (item.type === 'transcript') {
+        return `<div class="item transcript"><span class="when">${esc(offset(item.offsetSeconds))}</span>`
+          + `<span class="who">${esc(item.speaker)}</span><div class="text">${esc(item.text)}</div></div>`;
+      }
+      const attachments = item.attachments
+        .filter((att) => /^https?:\/\//i.test(att.href))
+        .map((att) => `<a href="${esc(att.href)}" target="_blank" rel="noopener">${esc(att.name || att.href)}</a>`)
+        .join(' ');
+      const when = pkg.aligned ? offset(item.offsetSeconds) : this.formatWallTime(item.time);
+      return `<div class="item chat${item.deleted ? ' deleted' : ''}" title="${esc(this.formatWallTime(item.time))}">`
+        + `<span class="when">${esc(when)}</span><span class="who">${esc(item.author)} <em>in chat</em></span>`
+        + `<div class="text">${esc(item.deleted ? '(deleted)' : item.text)}${item.edited ? ' <em>(edited)</em>' : ''}</div>`
+        + `${attachments ? `<div class="attachments">${attachments}</div>` : ''}</div>`;
+    }).join('\n');
+
+    const alignmentNote = pkg.aligned
+      ? ''
+      : '<p class="note">The recording start time was not available, so chat messages are listed before the transcript instead of interleaved.</p>';
+
+    return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="UTF-8">
+<title>${esc(pkg.title)}</title>
+<style>
+  body { font-family: -apple-system, BlinkMacSystemFont, "Segoe UI", Roboto, Helvetica, Arial, sans-serif; max-width: 900px; margin: 0 auto; padding: 24px; color: #242424; background: #fafafa; }
+  h1 { font-size: 22px; margin-bottom: 12px; }
+  table.details { border-collapse: collapse; margin-bottom: 12px; font-size: 13px; }
+  table.details th { text-align: left; padding: 3px 16px 3px 0; color: #616161; font-weight: 600; }
+  .note { font-size: 13px; color: #8a6d00; background: #fff8e1; padding: 8px 12px; border-radius: 6px; }
+  .item { padding: 8px 12px; margin: 6px 0; border-radius: 6px; background: #fff; border-left: 3px solid #c7c7c7; }
+  .item.chat { border-left-color: #5b5fc5; background: #f3f3fd; }
+  .item.deleted .text { color: #888; font-style: italic; }
+  .when { font-family: Consolas, monospace; font-size: 12px; color: #616161; margin-right: 10px; }
+  .who { font-weight: 600; font-size: 13px; }
+  .who em { font-weight: 400; color: #5b5fc5; }
+  .text { margin-top: 4px; white-space: pre-wrap; word-break: break-word; }
+  .attachments { margin-top: 4px; font-size: 12px; }
+  .attachments a { margin-right: 8px; }
+  .exported { font-size: 12px; color: #888; margin-top: 16px; }
+</style>
+</head>
+<body>
+<h1>${esc(pkg.title)}</h1>
+<table class="details">${detailRows}</table>
+${recordingLink}
+${alignmentNote}
+<div class="timeline">
+${items}
+</div>
+<p class="exported">Exported ${esc(this.formatWallTime(pkg.exportedAt))}</p>
+</body>
+</html>`;
+  }
+}
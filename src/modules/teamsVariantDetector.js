@@ -155,6 +155,46 @@ export class TeamsVariantDetector {
     return 'Unknown Chat';
   }
 
+  /**
+   * Lists chats visible in the sidebar as [{ id, name }].
+   * The conversation id is read from any attribute carrying a "19:" thread id;
+   * items without one are returned with id null.
+   */
+  static listSidebarConversations() {
+    const { chatItems } = this.getTeamsVariantSelectors();
+    const idPattern = /19:[^\s"'<>]+@(?:thread\.v2|thread\.skype|thread\.tacv2|unq\.gbl\.spaces)/;
+    const seen = new Set();
+    const conversations = [];
+
+    const findId = (element) => {
+      const nodes = [element, ...element.querySelectorAll('*')];
+      for (const node of nodes) {
+        for (const attr of node.attributes) {
+          const match = attr.value && attr.value.match(idPattern);
+          if (match) return match[0];
+        }
+      }
+      return null;
+    };
+
+    for (const selector of chatItems) {
+      document.querySelectorAll(selector).forEach((item) => {
+        if (seen.has(item)) return;
+        seen.add(item);
+
+        const id = findId(item);
+        const name = this.getConversationName(item).split('\n')[0].trim();
+        if (id && conversations.some((c) => c.id === id)) return;
+        if (!id && conversations.some((c) => c.name === name)) return;
+        conversations.push({ id, name });
+      });
+      if (conversations.length > 0) break;
+    }
+
+    console.log(`📋 Found ${conversations.length} chats in sidebar`);
+    return conversations;
+  }
+
   /**
    * Gets the Teams variant as a simple string
    */
@@ -0,0 +1,159 @@
+/**
+ * Transcript Analytics Module
+ * Per-speaker participation numbers (talk time, turns, words per minute,
+ * longest monologue) for one meeting or a whole series
+ */
+
+import { TranscriptFormatter } from './transcriptFormatter.js';
+
+// Function words and spoken fillers that say nothing about a meeting's topics
+const STOP_WORDS = new Set([
+  'the', 'and', 'for', 'are', 'but', 'not', 'you', 'all', 'any', 'can', 'had', 'her', 'was', 'one', 'our', 'out',
+  'has', 'have', 'him', 'his', 'how', 'its', 'may', 'new', 'now', 'old', 'see', 'two', 'way', 'who', 'did', 'get',
+  'got', 'let', 'say', 'she', 'too', 'use', 'yes', 'yeah', 'okay', 'well', 'just', 'like', 'that', 'this', 'with',
+  'from', 'they', 'them', 'then', 'than', 'there', 'their', 'these', 'those', 'what', 'when', 'where', 'which',
+  'while', 'will', 'would', 'could', 'should', 'been', 'being', 'were', 'into', 'about', 'also', 'some', 'very',
+  'much', 'more', 'most', 'other', 'over', 'only', 'such', 'here', 'because', 'know', 'think', 'going', 'really',
+  'right', 'thing', 'things', 'sure', 'maybe', 'actually', 'something', 'anything', 'everything', 'kind', 'sort',
+  'mean', 'want', 'need', 'make', 'does', 'doing', 'done', 'each', 'even', 'good', 'great', 'thank', 'thanks',
+  'gonna', 'wanna', 'yep', 'hmm', 'umm', 'guys', 'basically', 'probably', 'again', 'back', 'still', 'your', 'yours',
+  'mine', 'ours', 'myself', "what's", "that's", "it's", "i'm", "don't", "can't", "we're", "you're", "they're",
+  "i'll", "we'll", "i've", "we've", "didn't", "doesn't", "isn't", "there's", "let's", 'come', 'look', 'take', 'give',
+  'tell', 'said', 'says', 'through', 'after', 'before', 'same', 'many', 'every', 'why', 'off', 'own', 'both', 'few',
+  'under', 'once', 'cause'
+]);
+
+export class TranscriptAnalytics {
+  static countWords(text) {
+    const words = (text || '').trim().match(/\S+/g);
+    return words ? words.length : 0;
+  }
+
+  /**
+   * Lowercased content words of a text (three letters or more, no stop words or bare numbers)
+   */
+  static tokenize(text) {
+    const words = (text || '').toLowerCase().replace(/\u2019/g, "'").match(/[\p{L}\p{N}][\p{L}\p{N}'-]*/gu) || [];
+    return words
+      .map((word) => word.replace(/'s$/, '').replace(/['-]+$/, ''))
+      .filter((word) => word.length >= 3 && !STOP_WORDS.has(word) && !/^\d+$/.test(word));
+  }
+
+  /**
+   * Analyzes one transcript's entries. Returns
+   * { durationSeconds, talkSeconds, speakers: [{ speaker, talkSeconds, talkShare, turns, words,
+   *   wordsPerMinute, longestMonologueSeconds, longestMonologueStart }] } sorted by talk time.
+   */
+  static analyze(entries) {
+    const cues = TranscriptFormatter.normalizeEntries(entries);
+    const turns = TranscriptFormatter.buildParagraphs(entries);
+    const stats = new Map();
+
+    const statsFor = (speaker) => {
+      if (!stats.has(speaker)) {
+        stats.set(speaker, { speaker, talkSeconds: 0, turns: 0, words: 0, longestMonologueSeconds: 0, longestMonologueStart: 0 });
+      }
+      return stats.get(speaker);
+    };
+
+    cues.forEach((cue) => {
+      const entry = statsFor(cue.speaker);
+      entry.talkSeconds += Math.max(0, cue.end - cue.start);
+      entry.words += this.countWords(cue.text);
+    });
+
+    turns.forEach((turn) => {
+      const entry = statsFor(turn.speaker);
+      entry.turns++;
+      const length = turn.end - turn.start;
+      if (length > entry.longestMonologueSeconds) {
+        entry.longestMonologueSeconds = length;
+        entry.longestMonologueStart = turn.start;
+      }
+    });
+
+    const durationSeconds = cues.length > 0 ? Math.max(...cues.map((cue) => cue.end)) - cues[0].start : 0;
+    return this.finalize(Array.from(stats.values()), durationSeconds);
+  }
+
+  /**
+   * Combines per-meeting results ([{ label, entries }]) into series totals.
+   * Each speaker also gets meetings (how many transcripts they spoke in).
+   */
+  static aggregate(meetings) {
+    const stats = new Map();
+    let durationSeconds = 0;
+
+    meetings.forEach(({ label, entries }) => {
+      const result = this.analyze(entries);
+      durationSeconds += result.durationSeconds;
+
+      result.speakers.forEach((speaker) => {
+        if (!stats.has(speaker.speaker)) {
+          stats.set(speaker.speaker, { speaker: speaker.speaker, talkSeconds: 0, turns: 0, words: 0, longestMonologueSeconds: 0, longestMonologueStart: 0, longestMonologueMeeting: '', meetings: 0 });
+        }
+        const total = stats.get(speaker.speaker);
+        total.talkSeconds += speaker.talkSeconds;
+        total.turns += speaker.turns;
+        total.words += speaker.words;
+        total.meetings++;
+        if (speaker.longestMonologueSeconds > total.longestMonologueSeconds) {
+          total.longestMonologueSeconds = speaker.longestMonologueSeconds;
+          total.longestMonologueStart = speaker.longestMonologueStart;
+          total.longestMonologueMeeting = label;
+        }
+      });
+    });
+
+    return { meetingCount: meetings.length, ...this.finalize(Array.from(stats.values()), durationSeconds) };
+  }
+
+  static finalize(speakers, durationSeconds) {
+    const talkSeconds = speakers.reduce((sum, speaker) => sum + speaker.talkSeconds, 0);
+    speakers.forEach((speaker) => {
+      speaker.talkShare = talkSeconds > 0 ? speaker.talkSeconds / talkSeconds : 0;
+      speaker.wordsPerMinute = speaker.talkSeconds > 0 ? speaker.words / (speaker.talkSeconds / 60) : 0;
+    });
+    speakers.sort((a, b) => b.talkSeconds - a.talkSeconds);
+    return { durationSeconds, talkSeconds, speakers };
+  }
+
+  /**
+   * Quotes a CSV field. Text that a spreadsheet would run as a formula (=, +, -, @)
+   * gets a leading apostrophe so speaker names and meeting labels stay text.
+   */
+  static csvField(field) {
+    const text = String(field);
+    const safe = typeof field === 'string' && /^[=+\-@\t\r]/.test(text) ? `'${text}` : text;
+    return `"${safe.replace(/"/g, '""')}"`;
+  }
+
+  /**
+   * CSV of analytics results. rows is [{ scope, result }] where result comes from
+   * analyze() or aggregate().
+   */
+  static toCsv(rows) {
+    const headers = ['scope', 'speaker', 'talk_seconds', 'talk_share_pct', 'turns', 'words', 'words_per_minute', 'longest_monologue_seconds', 'longest_monologue_start', 'longest_monologue_meeting', 'meetings'];
+    const lines = [headers.join(',')];
+
+    rows.forEach(({ scope, result }) => {
+      result.speakers.forEach((speaker) => {
+        lines.push([
+          scope,
+          speaker.speaker,
+          Math.round(speaker.talkSeconds),
+          (speaker.talkShare * 100).toFixed(1),
+          speaker.turns,
+          speaker.words,
+          Math.round(speaker.wordsPerMinute),
+          Math.round(speaker.longestMonologueSeconds),
+          TranscriptFormatter.formatTimestamp(speaker.longestMonologueStart).split('.')[0],
+          speaker.longestMonologueMeeting || '',
+          speaker.meetings ?? 1
+        ].map((field) => this.csvField(field)).join(','));
+      });
+    });
+
+    return lines.join('\n');
+  }
+}
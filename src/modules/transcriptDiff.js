@@ -0,0 +1,189 @@
+/**
+ * Transcript Diff Module
+ * Compares two transcripts of a series: terms that are new (or gone) in the later
+ * meeting, speakers who joined or dropped, and sentences said in both
+ */
+
+import { TranscriptFormatter } from './transcriptFormatter.js';
+import { TranscriptAnalytics } from './transcriptAnalytics.js';
+
+// Shorter sentences ("Can you hear me?") recur in every meeting and are not worth listing
+const MIN_SENTENCE_WORDS = 5;
+
+export class TranscriptDiff {
+  static termCounts(cues) {
+    const counts = new Map();
+    cues.forEach((cue) => {
+      TranscriptAnalytics.tokenize(cue.text).forEach((term) => counts.set(term, (counts.get(term) || 0) + 1));
+    });
+    return counts;
+  }
+
+  static normalizeSentence(text) {
+    return text.toLowerCase().replace(/[^\p{L}\p{N}\s]/gu, '').replace(/\s+/g, ' ').trim();
+  }
+
+  /**
+   * Splits cues into sentences of at least MIN_SENTENCE_WORDS words, keyed by
+   * their normalized text
+   */
+  static sentences(cues) {
+    const sentences = [];
+    cues.forEach((cue) => {
+      cue.text.split(/(?<=[.!?])\s+/).forEach((text) => {
+        const key = this.normalizeSentence(text);
+        if (key.split(' ').length >= MIN_SENTENCE_WORDS) {
+          sentences.push({ key, text: text.trim(), speaker: cue.speaker, start: cue.start });
+        }
+      });
+    });
+    return sentences;
+  }
+
+  /**
+   * Compares an earlier and a later meeting, each { label, entries }. Returns
+   * { before, after, speakers: { joined, dropped, continuing }, newTerms, droppedTerms,
+   *   recurring: [{ text, beforeCount, afterCount, speakers, start }] }.
+   * Term lists hold { term, count } sorted by count and are capped at termLimit.
+   */
+  static compare(before, after, { termLimit = 40 } = {}) {
+    const beforeCues = TranscriptFormatter.normalizeEntries(before.entries);
+    const afterCues = TranscriptFormatter.normalizeEntries(after.entries);
+
+    const beforeSpeakers = new Set(beforeCues.map((cue) => cue.speaker));
+    const afterSpeakers = new Set(afterCues.map((cue) => cue.speaker));
+
+    const beforeTerms = this.termCounts(beforeCues);
+    const afterTerms = this.termCounts(afterCues);
+    const onlyIn = (terms, other) => Array.from(terms.entries())
+      .filter(([term]) => !other.has(term))
+      .map(([term, count]) => ({ term, count }))
+      .sort((a, b) => b.count - a.count || a.term.localeCompare(b.term))
+      .slice(0, termLimit);
+
+    const beforeSentences = new Map();
+    this.sentences(beforeCues).forEach((sentence) => {
+      beforeSentences.set(sentence.key, (beforeSentences.get(sentence.key) || 0) + 1);
+    });
+    const recurring = new Map();
+    this.sentences(afterCues).forEach((sentence) => {
+      if (!beforeSentences.has(sentence.key)) return;
+      if (!recurring.has(sentence.key)) {
+        recurring.set(sentence.key, {
+          text: sentence.text,
+          beforeCount: beforeSentences.get(sentence.key),
+          afterCount: 0,
+          speakers: [],
+          start: sentence.start
+        });
+      }
+      const item = recurring.get(sentence.key);
+      item.afterCount++;
+      if (!item.speakers.includes(sentence.speaker)) item.speakers.push(sentence.speaker);
+    });
+
+    const describe = (meeting, cues, speakers) => ({
+      label: meeting.label,
+      entryCount: cues.length,
+      speakers: Array.from(speakers)
+    });
+
+    return {
+      before: describe(before, beforeCues, beforeSpeakers),
+      after: describe(after, afterCues, afterSpeakers),
+      speakers: {
+        joined: Array.from(afterSpeakers).filter((speaker) => !beforeSpeakers.has(speaker)),
+        dropped: Array.from(beforeSpeakers).filter((speaker) => !afterSpeakers.has(speaker)),
+        continuing: Array.from(afterSpeakers).filter((speaker) => beforeSpeakers.has(speaker))
+      },
+      newTerms: onlyIn(afterTerms, beforeTerms),
+      droppedTerms: onlyIn(beforeTerms, afterTerms),
+      recurring: Array.from(recurring.values()).sort((a, b) => a.start - b.start)
+    };
+  }
+
+  /**
+   * Later-meeting cues that mention one of the new terms, for context
+   */
+  static newTermMentions(entries, newTerms, limit = 50) {
+    const terms = new Set(newTerms.map((item) => item.term));
+    return TranscriptFormatter.normalizeEntries(entries)
+      .filter((cue) => TranscriptAnalytics.tokenize(cue.text).some((term) => terms.has(term)))
+      .slice(0, limit);
+  }
+
+  static escapeHtml(text) {
+    return String(text ?? '')
+      .replace(/&/g, '&amp;')
+      .replace(/</g, '&lt;')
+      .replace(/>/g, '&gt;')
+      .replace(/"/g, '&quot;')
+      .replace(/'/g, '&#39;');
+  }
+
+  /**
+   * Renders a comparison as a standalone HTML page. afterEntries (optional) adds
+   * the later meeting's lines that mention new terms, with the terms highlighted.
+   */
+  static toHtml(diff, { title = 'Transcript comparison', afterEntries = null } = {}) {
+    const esc = (value) => this.escapeHtml(value);
+    const time = (seconds) => TranscriptFormatter.formatTimestamp(seconds).split('.')[0];
+    const chips = (items, cls = '') => (items.length > 0
+      ? items.map((item) => `<span class="chip${cls ? ` ${cls}` : ''}">${esc(item.term ?? item)}${item.count ? ` <small>${item.count}</small>` : ''}</span>`).join(' ')
+      : '<span class="none">None</span>');
+
+    const newTerms = new Set(diff.newTerms.map((item) => item.term));
+    const highlight = (text) => text.split(/([\p{L}\p{N}][\p{L}\p{N}'\u2019-]*)/u).map((part, i) => (
+      i % 2 === 1 && newTerms.has(TranscriptAnalytics.tokenize(part)[0]) ? `<mark>${esc(part)}</mark>` : esc(part)
+    )).join('');
+    const mentions = afterEntries ? this.newTermMentions(afterEntries, diff.newTerms) : [];
+    const mentionRows = mentions.map((cue) => (
+      `<div class="line"><span class="when">${esc(time(cue.start))}</span><span class="who">${esc(cue.speaker)}</span> ${highlight(cue.text)}</div>`
+    )).join('\n');
+    const recurringRows = diff.recurring.map((item) => (
+      `<div class="line"><span class="when">${esc(time(item.start))}</span><span class="who">${esc(item.speakers.join(', '))}</span> ${esc(item.text)}`
+      + ` <small>(${item.beforeCount}&times; before, ${item.afterCount}&times; now)</small></div>`
+    )).join('\n');
+
+    return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="UTF-8">
+<title>${esc(title)}</title>
+<style>
+  body { font-family: -apple-system, BlinkMacSystemFont, "Segoe UI", Roboto, Helvetica, Arial, sans-serif; max-width: 900px; margin: 0 auto; padding: 24px; color: #242424; background: #fafafa; }
+  h1 { font-size: 22px; margin-bottom: 4px; }
+  h2 { font-size: 16px; margin: 24px 0 8px; }
+  .meetings { color: #616161; font-size: 14px; }
+  .chip { display: inline-block; padding: 2px 8px; margin: 2px; border-radius: 10px; font-size: 13px; background: #e8e8e8; }
+  .chip small { color: #616161; }
+  .chip.new { background: #dff6dd; }
+  .chip.gone { background: #fde7e9; }
+  .chip.joined { background: #dff6dd; }
+  .chip.dropped { background: #fde7e9; }
+  .none { color: #888; font-size: 13px; }
+  .line { padding: 6px 10px; margin: 4px 0; background: #fff; border-left: 3px solid #c7c7c7; border-radius: 4px; }
+  .when { font-family: Consolas, monospace; font-size: 12px; color: #616161; margin-right: 10px; }
+  .who { font-weight: 600; font-size: 13px; }
+  .line small { color: #888; }
+  mark { background: #fff4ce; padding: 0 1px; }
+</style>
+</head>
+<body>
+<h1>${esc(title)}</h1>
+<p class="meetings">${esc(diff.before.label)} (${diff.before.entryCount} lines) &rarr; ${esc(diff.after.label)} (${diff.after.entryCount} lines)</p>
+<h2>New terms</h2>
+<div>${chips(diff.newTerms, 'new')}</div>
+<h2>No longer mentioned</h2>
+<div>${chips(diff.droppedTerms, 'gone')}</div>
+<h2>Speakers</h2>
+<p>Joined: ${chips(diff.speakers.joined, 'joined')}</p>
+<p>Dropped: ${chips(diff.speakers.dropped, 'dropped')}</p>
+<p>In both: ${chips(diff.speakers.continuing)}</p>
+<h2>Recurring sentences (${diff.recurring.length})</h2>
+${recurringRows || '<p class="none">None</p>'}
+${afterEntries ? `<h2>Where new terms came up</h2>\n${mentionRows || '<p class="none">None</p>'}` : ''}
+</body>
+</html>`;
+  }
+}
@@ -0,0 +1,302 @@
+/**
+ * Transcript Formatter Module
+ * Builds SRT and DOCX transcripts from the entry list used by
+ * __teamsTranscriptUtils.buildVttTranscript ({ startOffset, endOffset, speakerDisplayName, text, id })
+ */
+
+import { ZipBuilder } from './zipBuilder.js';
+
+export class TranscriptFormatter {
+  /**
+   * Converts "HH:MM:SS(.mmm)", "MM:SS(.mmm)" or PT durations to seconds (with fraction)
+   */
+  static offsetToSeconds(offset) {
+    if (typeof offset === 'number') return offset;
+    if (!offset || typeof offset !== 'string') return 0;
+
+    if (/^PT/i.test(offset)) {
+      const h = offset.match(/([\d.]+)H/i);
+      const m = offset.match(/([\d.]+)M/i);
+      const s = offset.match(/([\d.]+)S/i);
+      return (h ? parseFloat(h[1]) * 3600 : 0) + (m ? parseFloat(m[1]) * 60 : 0) + (s ? parseFloat(s[1]) : 0);
+    }
+
+    const parts = offset.trim().split(':').map(Number);
+    if (parts.some(Number.isNaN)) return 0;
+    return parts.reduce((total, part) => total * 60 + part, 0);
+  }
+
+  /**
+   * Formats seconds as HH:MM:SS plus a millisecond part joined with separator
+   */
+  static formatTimestamp(seconds, separator = '.') {
+    const totalMs = Math.max(0, Math.round(seconds * 1000));
+    const h = Math.floor(totalMs / 3600000);
+    const m = Math.floor((totalMs % 3600000) / 60000);
+    const s = Math.floor((totalMs % 60000) / 1000);
+    const ms = totalMs % 1000;
+    return `${String(h).padStart(2, '0')}:${String(m).padStart(2, '0')}:${String(s).padStart(2, '0')}${separator}${String(ms).padStart(3, '0')}`;
+  }
+
+  /**
+   * Sorts entries by start time and fills in end times. Entries without a usable
+   * end get start + 5s (as in buildVttTranscript), clipped to the next cue's start.
+   */
+  static normalizeEntries(entries) {
+    if (!Array.isArray(entries)) return [];
+
+    const sorted = entries
+      .filter((entry) => entry && (entry.text || '').trim())
+      .map((entry) => ({
+        start: this.offsetToSeconds(entry.startOffset),
+        end: this.offsetToSeconds(entry.endOffset || entry.startOffset),
+        speaker: entry.speakerDisplayName || entry.speakerId || 'Unknown',
+        text: (entry.text || '').trim()
+      }))
+      .sort((a, b) => a.start - b.start);
+
+    sorted.forEach((cue, index) => {
+      if (cue.end <= cue.start) {
+        const next = sorted[index + 1];
+        cue.end = next && next.start > cue.start ? Math.min(cue.start + 5, next.start) : cue.start + 5;
+      }
+    });
+    return sorted;
+  }
+
+  /**
+   * Parses WebVTT (with <v Speaker> voice tags) back into transcript entries.
+   * Used when only the VTT text is available (captured VTT, hidden-div fallback).
+   */
+  static parseVtt(vtt) {
+    if (!vtt || typeof vtt !== 'string') return [];
+
+    const entries = [];
+    const blocks = vtt.replace(/\r/g, '').split(/\n{2,}/);
+    blocks.forEach((block) => {
+      const lines = block.split('\n');
+      const timingIndex = lines.findIndex((line) => line.includes('-->'));
+      if (timingIndex === -1) return;
+
+      const [start, end] = lines[timingIndex].split('-->').map((part) => part.trim().split(/\s+/)[0]);
+      const body = lines.slice(timingIndex + 1).join('\n').trim();
+      if (!body) return;
+
+      const voice = body.match(/^<v(?:\.[^\s>]+)?\s+([^>]+)>([\s\S]*?)(?:<\/v>)?$/);
+      entries.push({
+        startOffset: this.formatTimestamp(this.offsetToSeconds(start)),
+        endOffset: this.formatTimestamp(this.offsetToSeconds(end)),
+        speakerDisplayName: voice ? voice[1].trim() : 'Unknown',
+        text: (voice ? voice[2] : body)
+          .replace(/<[^>]+>/g, '')
+          .replace(/&lt;/g, '<')
+          .replace(/&gt;/g, '>')
+          .replace(/&nbsp;/g, ' ')
+          .replace(/&amp;/g, '&')
+          .trim(),
+        id: timingIndex > 0 ? lines[0].trim() : `${entries.length + 1}`
+      });
+    });
+    return entries.filter((entry) => entry.text);
+  }
+
+  /**
+   * Builds a SubRip (.srt) transcript
+   */
+  static buildSrt(entries) {
+    const cues = this.normalizeEntries(entries);
+    if (cues.length === 0) return '';
+
+    return cues.map((cue, index) => [
+      index + 1,
+      `${this.formatTimestamp(cue.start, ',')} --> ${this.formatTimestamp(cue.end, ',')}`,
+      `${cue.speaker}: ${cue.text}`
+    ].join('\n')).join('\n\n') + '\n';
+  }
+
+  /**
+   * Formats a duration in seconds as "1h 5m", "2m 30s" or "45s"
+   */
+  static formatDuration(seconds) {
+    const total = Math.round(seconds);
+    const h = Math.floor(total / 3600);
+    const m = Math.floor((total % 3600) / 60);
+    const s = total % 60;
+    if (h > 0) return `${h}h ${m}m`;
+    if (m > 0) return s > 0 ? `${m}m ${s}s` : `${m}m`;
+    return `${s}s`;
+  }
+
+  /**
+   * Merges consecutive cues from the same speaker into paragraphs:
+   * [{ speaker, start, end, text }]. With sectionBreakSeconds > 0, a gap at least
+   * that long ends the paragraph and is recorded as { silence: seconds } before the next one.
+   */
+  static buildParagraphs(entries, { sectionBreakSeconds = 0 } = {}) {
+    const paragraphs = [];
+    let current = null;
+
+    this.normalizeEntries(entries).forEach((cue) => {
+      const gap = current ? cue.start - current.end : 0;
+      const isBreak = current && sectionBreakSeconds > 0 && gap >= sectionBreakSeconds;
+
+      if (current && cue.speaker === current.speaker && !isBreak) {
+        current.text += ` ${cue.text}`;
+        current.end = Math.max(current.end, cue.end);
+        return;
+      }
+
+      if (isBreak) paragraphs.push({ silence: gap });
+      current = { speaker: cue.speaker, start: cue.start, end: cue.end, text: cue.text };
+      paragraphs.push(current);
+    });
+
+    return paragraphs;
+  }
+
+  /**
+   * Chapters at speaker turns lasting at least minSeconds: [{ start, title }],
+   * titled with the speaker and the turn's opening words
+   */
+  static buildSpeakerChapters(entries, { minSeconds = 300 } = {}) {
+    return this.buildParagraphs(entries)
+      .filter((p) => p.end - p.start >= minSeconds)
+      .map((p) => {
+        const words = p.text.split(/\s+/);
+        return { start: p.start, title: `${p.speaker}: ${words.slice(0, 8).join(' ')}${words.length > 8 ? '\u2026' : ''}` };
+      });
+  }
+
+  /**
+   * Parses chapter lines such as "12:30 Q&A" or "1:02:00 - Wrap-up" into
+   * [{ start, title }] sorted by time. Lines without a leading time are returned in errors.
+   */
+  static parseChapterList(text) {
+    const chapters = [];
+    const errors = [];
+    (text || '').split('\n').map((line) => line.trim()).filter(Boolean).forEach((line) => {
+      const match = line.match(/^(\d+(?::\d{1,2}){1,2})\s*[-\u2013:]?\s*(.*)$/);
+      if (!match) {
+        errors.push(line);
+        return;
+      }
+      chapters.push({ start: this.offsetToSeconds(match[1]), title: match[2] || match[1] });
+    });
+    return { chapters: chapters.sort((a, b) => a.start - b.start), errors };
+  }
+
+  /**
+   * Builds the "readable" transcript: one timestamped paragraph per speaker turn,
+   * with optional section breaks after long silences
+   */
+  static buildReadableTranscript(entries, { sectionBreakSeconds = 0, title = '' } = {}) {
+    const paragraphs = this.buildParagraphs(entries, { sectionBreakSeconds });
+    if (paragraphs.length === 0) return 'Transcript not available.';
+
+    const blocks = paragraphs.map((paragraph) => (
+      paragraph.silence !== undefined
+        ? `--- ${this.formatDuration(paragraph.silence)} pause ---`
+        : `[${this.formatTimestamp(paragraph.start).split('.')[0]}] ${paragraph.speaker}\n${paragraph.text}`
+    ));
+    if (title) blocks.unshift(title);
+
+    return blocks.join('\n\n') + '\n';
+  }
+
+  /**
+   * Turns a recording's SharePoint file URL into its stream.aspx player URL
+   * (stream.aspx URLs are returned unchanged). Returns '' when it can't.
+   */
+  static buildStreamUrl(recordingUrl) {
+    if (!recordingUrl) return '';
+    try {
+      const url = new URL(recordingUrl);
+      if (url.protocol !== 'https:') return '';
+      if (url.pathname.toLowerCase().endsWith('/stream.aspx')) return url.toString();
+
+      const filePath = decodeURIComponent(url.pathname);
+      const site = filePath.match(/^\/(?:personal|sites|teams)\/[^/]+/);
+      if (!site || !/\.(mp4|m4a|mov|webm)$/i.test(filePath)) return '';
+      return `${url.origin}${site[0]}/_layouts/15/stream.aspx?id=${encodeURIComponent(filePath)}`;
+    } catch (_err) {
+      return '';
+    }
+  }
+
+  /**
+   * Stream player link that starts playback at the given second, using the
+   * base64 "nav" parameter Stream's own "Start at" share links carry
+   */
+  static buildStreamDeepLink(streamUrl, seconds) {
+    if (!streamUrl) return '';
+    const nav = {
+      referralInfo: { referralApp: 'StreamWebApp', referralView: 'ShareDialog-Link', referralAppPlatform: 'Web', referralMode: 'view' },
+      playbackOptions: { startTimeInSeconds: Math.max(0, Math.floor(seconds)) }
+    };
+    const url = new URL(streamUrl);
+    url.searchParams.set('nav', btoa(JSON.stringify(nav)));
+    return url.toString();
+  }
+
+  static escapeXml(text) {
+    return String(text ?? '')
+      .replace(/&/g, '&amp;')
+      .replace(/</g, '&lt;')
+      .replace(/>/g, '&gt;')
+      .replace(/"/g, '&quot;')
+      // Control characters are not allowed in XML 1.0
+      .replace(/[\u0000-\u0008\u000B\u000C\u000E-\u001F]/g, '');
+  }
+
+  static docxParagraph(text, { bold = false, size = null } = {}) {
+    const props = `${bold ? '<w:b/>' : ''}${size ? `<w:sz w:val="${size}"/>` : ''}`;
+    return `<w:p><w:r>${props ? `<w:rPr>${props}</w:rPr>` : ''}<w:t xml:space="preserve">${this.escapeXml(text)}</w:t></w:r></w:p>`;
+  }
+
+  static docxCell(text, width, { bold = false } = {}) {
+    return `<w:tc><w:tcPr><w:tcW w:w="${width}" w:type="dxa"/></w:tcPr>${this.docxParagraph(text, { bold })}</w:tc>`;
+  }
+
+  /**
+   * Builds a Word document (.docx Blob) with a Time / Speaker / Text table
+   */
+  static buildDocx(entries, { title = 'Transcript', subtitle = '' } = {}) {
+    const cues = this.normalizeEntries(entries);
+    const widths = [1400, 2200, 5760];
+
+    const header = `<w:tr><w:trPr><w:tblHeader/></w:trPr>${this.docxCell('Time', widths[0], { bold: true })}${this.docxCell('Speaker', widths[1], { bold: true })}${this.docxCell('Text', widths[2], { bold: true })}</w:tr>`;
+    const rows = cues.map((cue) => (
+      `<w:tr>${this.docxCell(this.formatTimestamp(cue.start).split('.')[0], widths[0])}${this.docxCell(cue.speaker, widths[1])}${this.docxCell(cue.text, widths[2])}</w:tr>`
+    )).join('');
+
+    const border = (side) => `<w:${side} w:val="single" w:sz="4" w:space="0" w:color="BFBFBF"/>`;
+    const table = `<w:tbl><w:tblPr><w:tblW w:w="0" w:type="auto"/><w:tblBorders>${['top', 'left', 'bottom', 'right', 'insideH', 'insideV'].map(border).join('')}</w:tblBorders></w:tblPr>`
+      + `<w:tblGrid>${widths.map((w) => `<w:gridCol w:w="${w}"/>`).join('')}</w:tblGrid>${header}${rows}</w:tbl>`;
+
+    const speakers = new Set(cues.map((cue) => cue.speaker));
+    const summary = subtitle || `${cues.length} entries, ${speakers.size} speakers`;
+
+    const documentXml = '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>'
+      + '<w:document xmlns:w="http://schemas.openxmlformats.org/wordprocessingml/2006/main"><w:body>'
+      + this.docxParagraph(title, { bold: true, size: 32 })
+      + this.docxParagraph(summary)
+      + (cues.length > 0 ? table : this.docxParagraph('Transcript not available.'))
+      + '<w:p/><w:sectPr><w:pgSz w:w="12240" w:h="15840"/><w:pgMar w:top="1080" w:right="1080" w:bottom="1080" w:left="1080" w:header="720" w:footer="720" w:gutter="0"/></w:sectPr>'
+      + '</w:body></w:document>';
+
+    const zip = new ZipBuilder();
+    zip.addFile('[Content_Types].xml', '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>'
+      + '<Types xmlns="http://schemas.openxmlformats.org/package/2006/content-types">'
+      + '<Default Extension="rels" ContentType="application/vnd.openxmlformats-package.relationships+xml"/>'
+      + '<Default Extension="xml" ContentType="application/xml"/>'
+      + '<Override PartName="/word/document.xml" ContentType="application/vnd.openxmlformats-officedocument.wordprocessingml.document.main+xml"/>'
+      + '</Types>');
+    zip.addFile('_rels/.rels', '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>'
+      + '<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">'
+      + '<Relationship Id="rId1" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/officeDocument" Target="word/document.xml"/>'
+      + '</Relationships>');
+    zip.addFile('word/document.xml', documentXml);
+
+    return new Blob([zip.build()], { type: 'application/vnd.openxmlformats-officedocument.wordprocessingml.document' });
+  }
+}
@@ -0,0 +1,181 @@
+/**
+ * Transcript Insights Module
+ * Rule-based summary of a transcript, computed locally: action-item phrasing,
+ * dates and numbers mentioned, and TF-IDF key terms
+ */
+
+import { TranscriptFormatter } from './transcriptFormatter.js';
+import { TranscriptAnalytics } from './transcriptAnalytics.js';
+
+const WEEKDAY = '(?:monday|tuesday|wednesday|thursday|friday|saturday|sunday)';
+const MONTH = '(?:jan(?:uary)?|feb(?:ruary)?|mar(?:ch)?|apr(?:il)?|may|june?|july?|aug(?:ust)?|sept?(?:ember)?|oct(?:ober)?|nov(?:ember)?|dec(?:ember)?)';
+const PERIOD = '(?:day|week|month|quarter|year|sprint)';
+
+const ACTION_PATTERNS = [
+  { kind: 'commitment', pattern: /\b(?:i|we)(?:'ll| will| shall|'m going to| am going to|'re going to| are going to)\b|\blet me\b|\bi can take\b/i },
+  { kind: 'request', pattern: /\b(?:can|could|would|will) (?:you|someone|somebody|anyone)\b|\bplease\b/i },
+  { kind: 'deadline', pattern: new RegExp(`\\bby (?:(?:next |this )?(?:${WEEKDAY}|week|month)|tomorrow|tonight|today|eod|eow|end of (?:the )?${PERIOD}|${MONTH} \\d{1,2}|the \\d{1,2}(?:st|nd|rd|th)|\\d{1,2}/\\d{1,2})\\b`, 'i') },
+  { kind: 'mention', pattern: /(?:^|\s)@\p{L}[\p{L}.'-]*/u },
+  { kind: 'follow-up', pattern: /\baction items?\b|\bfollow[ -]up\b|\bto-?dos?\b|\bnext steps?\b/i }
+];
+
+// "Can you hear me?" and friends are requests in form only
+const SMALL_TALK = /\b(?:hear|see) (?:me|us|my screen)\b|\bplease go ahead\b/i;
+
+const DATE_PATTERN = new RegExp([
+  `\\b(?:today|tomorrow|yesterday|tonight)\\b`,
+  `\\b(?:next|this|last) (?:${WEEKDAY}|${PERIOD})\\b`,
+  `\\bend of (?:the )?${PERIOD}\\b`,
+  `\\b${MONTH}\\.? \\d{1,2}(?:st|nd|rd|th)?(?:,? \\d{4})?\\b`,
+  `\\b\\d{1,2}(?:st|nd|rd|th)? (?:of )?${MONTH}\\b(?: \\d{4})?`,
+  `\\b\\d{1,2}/\\d{1,2}(?:/\\d{2,4})?\\b`,
+  `\\bq[1-4]\\b`,
+  `\\b${WEEKDAY}\\b`
+].join('|'), 'gi');
+
+// Amounts, percentages and quantities with a unit; a bare single digit is too noisy to list
+const NUMBER_PATTERN = /(?:[$€£]\s?)?(?<![\w:/.,])\d[\d,]*(?:\.\d+)?(?![\d:/])(?:\s?(?:%|percent\b|k\b|million\b|billion\b|thousand\b|hours?\b|days?\b|weeks?\b|minutes?\b|people\b|users?\b|tickets?\b))?/gi;
+
+export class TranscriptInsights {
+  /**
+   * Cues that read like action items, each { start, speaker, text, kinds }
+   */
+  static findActionItems(cues) {
+    return cues
+      .map((cue) => {
+        const text = cue.text.replace(/\u2019/g, "'");
+        return {
+          start: cue.start,
+          speaker: cue.speaker,
+          text: cue.text,
+          kinds: ACTION_PATTERNS.filter(({ pattern }) => pattern.test(text)).map(({ kind }) => kind)
+        };
+      })
+      .filter((item) => item.kinds.length > 0 && !(item.kinds.length === 1 && item.kinds[0] === 'request' && SMALL_TALK.test(item.text)));
+  }
+
+  /**
+   * Every match of pattern across the cues, as { value, start, speaker, text }
+   */
+  static findMentions(cues, pattern, accept = () => true) {
+    const mentions = [];
+    cues.forEach((cue) => {
+      (cue.text.match(pattern) || []).map((value) => value.trim().replace(/[,.]$/, '')).filter(accept).forEach((value) => {
+        mentions.push({ value, start: cue.start, speaker: cue.speaker, text: cue.text });
+      });
+    });
+    return mentions;
+  }
+
+  static findDates(cues) {
+    return this.findMentions(cues, DATE_PATTERN);
+  }
+
+  static findNumbers(cues) {
+    return this.findMentions(cues, NUMBER_PATTERN, (value) => /\D/.test(value) || value.length > 1);
+  }
+
+  /**
+   * Document frequencies over a set of documents (each an array of cues)
+   */
+  static buildCorpus(documents) {
+    const documentFrequency = new Map();
+    documents.forEach((cues) => {
+      const terms = new Set(cues.flatMap((cue) => TranscriptAnalytics.tokenize(cue.text)));
+      terms.forEach((term) => documentFrequency.set(term, (documentFrequency.get(term) || 0) + 1));
+    });
+    return { documentCount: documents.length, documentFrequency };
+  }
+
+  /**
+   * Splits one meeting into fixed windows, the documents used for its IDF when
+   * there is no series to compare against
+   */
+  static windows(cues, seconds = 300) {
+    const windows = [];
+    cues.forEach((cue) => {
+      const index = Math.floor(cue.start / seconds);
+      (windows[index] = windows[index] || []).push(cue);
+    });
+    return windows.filter(Boolean);
+  }
+
+  /**
+   * Top TF-IDF terms of cues against corpus, each { term, score, count, firstStart }
+   */
+  static keyTerms(cues, corpus, limit = 15) {
+    const counts = new Map();
+    const firstStart = new Map();
+    let total = 0;
+    cues.forEach((cue) => {
+      TranscriptAnalytics.tokenize(cue.text).forEach((term) => {
+        counts.set(term, (counts.get(term) || 0) + 1);
+        if (!firstStart.has(term)) firstStart.set(term, cue.start);
+        total++;
+      });
+    });
+
+    return Array.from(counts.entries())
+      .filter(([, count]) => count > 1)
+      .map(([term, count]) => {
+        const df = corpus.documentFrequency.get(term) || 0;
+        const idf = Math.log((1 + corpus.documentCount) / (1 + df)) + 1;
+        return { term, count, score: (count / total) * idf, firstStart: firstStart.get(term) };
+      })
+      .sort((a, b) => b.score - a.score || a.term.localeCompare(b.term))
+      .slice(0, limit);
+  }
+
+  /**
+   * Insights for one transcript. corpus (from buildCorpus) scores key terms against
+   * a whole series; without it the meeting's own five-minute windows are used.
+   */
+  static analyze(entries, { corpus = null } = {}) {
+    const cues = TranscriptFormatter.normalizeEntries(entries);
+    return {
+      keyTerms: this.keyTerms(cues, corpus || this.buildCorpus(this.windows(cues))),
+      actionItems: this.findActionItems(cues),
+      dates: this.findDates(cues),
+      numbers: this.findNumbers(cues)
+    };
+  }
+
+  /**
+   * Insights for every meeting of a series ([{ label, entries }]), with key terms
+   * weighted against the other meetings
+   */
+  static analyzeSeries(meetings) {
+    const corpus = this.buildCorpus(meetings.map((m) => TranscriptFormatter.normalizeEntries(m.entries)));
+    return meetings.map((m) => ({ label: m.label, ...this.analyze(m.entries, { corpus }) }));
+  }
+
+  /**
+   * Plain-text summary section placed above TXT and readable exports. With a
+   * streamUrl each listed cue gets a link that opens the recording at that moment.
+   */
+  static toText(insights, { streamUrl = '', maxItems = 30 } = {}) {
+    const time = (seconds) => TranscriptFormatter.formatTimestamp(seconds).split('.')[0];
+    const link = (seconds) => (streamUrl ? `\n    ${TranscriptFormatter.buildStreamDeepLink(streamUrl, seconds)}` : '');
+    const more = (items) => (items.length > maxItems ? [`  ...and ${items.length - maxItems} more`] : []);
+
+    const lines = ['SUMMARY', '======='];
+    lines.push(`Key terms: ${insights.keyTerms.length > 0 ? insights.keyTerms.map((t) => t.term).join(', ') : 'none'}`);
+
+    lines.push('', `Action items (${insights.actionItems.length}):`);
+    insights.actionItems.slice(0, maxItems).forEach((item) => {
+      lines.push(`  [${time(item.start)}] ${item.speaker}: ${item.text} (${item.kinds.join(', ')})${link(item.start)}`);
+    });
+    lines.push(...more(insights.actionItems));
+
+    [['Dates mentioned', insights.dates], ['Numbers mentioned', insights.numbers]].forEach(([heading, mentions]) => {
+      lines.push('', `${heading} (${mentions.length}):`);
+      mentions.slice(0, maxItems).forEach((mention) => {
+        lines.push(`  [${time(mention.start)}] ${mention.value} - ${mention.speaker}: ${mention.text}${link(mention.start)}`);
+      });
+      lines.push(...more(mentions));
+    });
+
+    lines.push('', '-'.repeat(40), '');
+    return lines.join('\n') + '\n';
+  }
+}
@@ -0,0 +1,140 @@
+/**
+ * Zip Builder Module
+ * Minimal ZIP writer (stored entries, no compression) for bundling exports
+ */
+
+let crcTable = null;
+
+const getCrcTable = () => {
+  if (crcTable) return crcTable;
+  crcTable = new Uint32Array(256);
+  for (let n = 0; n < 256; n++) {
+    let c = n;
+    for (let k = 0; k < 8; k++) {
+      c = c & 1 ? 0xEDB88320 ^ (c >>> 1) : c >>> 1;
+    }
+    crcTable[n] = c >>> 0;
+  }
+  return crcTable;
+};
+
+export class ZipBuilder {
+  constructor() {
+    this.entries = [];
+    this.encoder = new TextEncoder();
+  }
+
+  /**
+   * Computes the CRC-32 of a byte array
+   */
+  static crc32(bytes) {
+    const table = getCrcTable();
+    let crc = 0xFFFFFFFF;
+    for (let i = 0; i < bytes.length; i++) {
+      crc = table[(crc ^ bytes[i]) & 0xFF] ^ (crc >>> 8);
+    }
+    return (crc ^ 0xFFFFFFFF) >>> 0;
+  }
+
+  /**
+   * Adds a file. data may be a string (written as UTF-8), ArrayBuffer or Uint8Array.
+   */
+  addFile(path, data, date = new Date()) {
+    let bytes;
+    if (typeof data === 'string') {
+      bytes = this.encoder.encode(data);
+    } else if (data instanceof ArrayBuffer) {
+      bytes = new Uint8Array(data);
+    } else {
+      bytes = data;
+    }
+
+    this.entries.push({
+      name: this.encoder.encode(path.replace(/\\/g, '/').replace(/^\/+/, '')),
+      bytes,
+      crc: ZipBuilder.crc32(bytes),
+      date
+    });
+  }
+
+  /**
+   * Total size of the files added so far, in bytes
+   */
+  get size() {
+    return this.entries.reduce((sum, entry) => sum + entry.bytes.length, 0);
+  }
+
+  /**
+   * Converts a Date to MS-DOS time and date fields
+   */
+  toDosDateTime(date) {
+    const year = Math.max(1980, date.getFullYear());
+    return {
+      time: (date.getHours() << 11) | (date.getMinutes() << 5) | Math.floor(date.getSeconds() / 2),
+      date: ((year - 1980) << 9) | ((date.getMonth() + 1) << 5) | date.getDate()
+    };
+  }
+
+  /**
+   * Builds the archive as a Blob
+   */
+  build() {
+    const parts = [];
+    const central = [];
+    let offset = 0;
+
+    this.entries.forEach((entry) => {
+      const { time, date } = this.toDosDateTime(entry.date);
+
+      // Local file header; flag 0x0800 marks UTF-8 file names
+      const local = new DataView(new ArrayBuffer(30));
+      local.setUint32(0, 0x04034B50, true);
+      local.setUint16(4, 20, true);
+      local.setUint16(6, 0x0800, true);
+      local.setUint16(8, 0, true);
+      local.setUint16(10, time, true);
+      local.setUint16(12, date, true);
+      local.setUint32(14, entry.crc, true);
+      local.setUint32(18, entry.bytes.length, true);
+      local.setUint32(22, entry.bytes.length, true);
+      local.setUint16(26, entry.name.length, true);
+      local.setUint16(28, 0, true);
+      parts.push(local, entry.name, entry.bytes);
+
+      const header = new DataView(new ArrayBuffer(46));
+      header.setUint32(0, 0x02014B50, true);
+      header.setUint16(4, 20, true);
+      header.setUint16(6, 20, true);
+      header.setUint16(8, 0x0800, true);
+      header.setUint16(10, 0, true);
+      header.setUint16(12, time, true);
+      header.setUint16(14, date, true);
+      header.setUint32(16, entry.crc, true);
+      header.setUint32(20, entry.bytes.length, true);
+      header.setUint32(24, entry.bytes.length, true);
+      header.setUint16(28, entry.name.length, true);
+      header.setUint16(30, 0, true);
+      header.setUint16(32, 0, true);
+      header.setUint16(34, 0, true);
+      header.setUint16(36, 0, true);
+      header.setUint32(38, 0, true);
+      header.setUint32(42, offset, true);
+      central.push(header, entry.name);
+
+      offset += 30 + entry.name.length + entry.bytes.length;
+    });
+
+    const centralSize = central.reduce((sum, part) => sum + part.byteLength, 0);
+    const end = new DataView(new ArrayBuffer(22));
+    end.setUint32(0, 0x06054B50, true);
+    end.setUint16(4, 0, true);
+    end.setUint16(6, 0, true);
+    end.setUint16(8, this.entries.length, true);
+    end.setUint16(10, this.entries.length, true);
+    end.setUint32(12, centralSize, true);
+    end.setUint32(16, offset, true);
+    end.setUint16(20, 0, true);
+
+    return new Blob([...parts, ...central, end], { type: 'application/zip' });
+  }
+}
@@ -234,6 +234,39 @@
 		return lines.join('\n');
 	};
 
+	/**
+	 * Caption cues for embedding in a downloaded recording: [{ start, end, text }] in
+	 * seconds, with "Speaker: text" so players show who is talking. Ends default to
+	 * start + 5 seconds (as in the VTT) and are cut at the next cue's start.
+	 */
+	const buildCaptionCues = (entries) => {
+		const cues = [...entries]
+			.map((entry) => {
+				const start = timestampToSeconds(entry.startOffset || '00:00:00');
+				let end = timestampToSeconds(entry.endOffset || entry.startOffset || '00:00:00');
+				if (end <= start) end = start + 5;
+				const speaker = entry.speakerDisplayName || entry.speakerId || 'Unknown speaker';
+				return { start, end, text: `${speaker}: ${entry.text || ''}` };
+			})
+			.sort((a, b) => a.start - b.start);
+
+		cues.forEach((cue, i) => {
+			const next = cues[i + 1];
+			if (next && next.start > cue.start && cue.end > next.start) cue.end = next.start;
+		});
+		return cues;
+	};
+
+	// Caption cues for the recording on screen, or null when the captured transcript
+	// belongs to a different video (the recap page swaps videos without reloading)
+	const getCaptionCues = () => {
+		const capture = window.__teamsTranscriptCapture;
+		if (!capture) return null;
+		const videoSrc = document.querySelector('video')?.currentSrc || '';
+		if (capture.videoSrc && videoSrc && capture.videoSrc !== videoSrc) return null;
+		return buildCaptionCues(capture.entries);
+	};
+
 	const storeTranscript = (entries, source) => {
 		if (!entries || entries.length === 0) return false;
 
@@ -247,6 +280,12 @@
 		hiddenDiv.setAttribute('data-count', entries.length.toString());
 		hiddenDiv.textContent = vttTranscript;
 
+		window.__teamsTranscriptCapture = {
+			entries,
+			source,
+			videoSrc: document.querySelector('video')?.currentSrc || ''
+		};
+
 		console.log(`[Teams Chat Exporter] Transcript captured via ${source}: ${entries.length} entries`);
 		return true;
 	};
@@ -324,7 +363,9 @@
 		timestampToSeconds,
 		toSimpleTimestamp,
 		storeTranscript,
-		ensureHiddenDiv
+		ensureHiddenDiv,
+		buildCaptionCues,
+		getCaptionCues
 	};
 
 	console.log('[Teams Chat Exporter] Transcript capture initialized (DOM + fetch)');
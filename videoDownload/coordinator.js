@@ -7,6 +7,8 @@
 (() => {
   // Priority order: fastest/best quality first, most compatible last
   const METHOD_PRIORITY = ['directDownload', 'mseCaptureDownload', 'manifestDownload', 'captureStreamDownload'];
+  // Methods that produce something other than the full recording; only used when picked explicitly
+  const EXPLICIT_METHODS = ['audioOnlyDownload'];
 
   /**
    * Get all loaded download modules.
@@ -19,7 +21,7 @@
   const getAvailableModules = () => {
     const modules = getModules();
     const available = [];
-    for (const name of METHOD_PRIORITY) {
+    for (const name of [...METHOD_PRIORITY, ...EXPLICIT_METHODS]) {
       const mod = modules[name];
       if (mod) {
         try {
@@ -83,6 +85,22 @@
     return { success: false, error: 'All download methods failed' };
   };
 
+  /**
+   * Download only start..end (seconds) of the recording as one MP4.
+   * Only the fast (manifest) method can fetch a range of segments.
+   * @param {Function} onProgress - progress callback
+   * @param {{start: number, end: number}} range
+   */
+  const downloadClip = async (onProgress, range) => {
+    const mod = getModules().manifestDownload;
+    if (!mod?.downloadClip) return { success: false, error: 'Fast download module not loaded' };
+    if (!mod.isAvailable()) {
+      return { success: false, error: 'Clips need the fast download method. Play the video for a few seconds first.' };
+    }
+    const result = await mod.downloadClip(onProgress, range);
+    return { ...result, method: mod.name };
+  };
+
   /**
    * Stop any active download (mainly for captureStream).
    */
@@ -98,8 +116,10 @@
     getModules,
     getAvailableModules,
     download,
+    downloadClip,
     stop,
-    METHOD_PRIORITY
+    METHOD_PRIORITY,
+    EXPLICIT_METHODS
   };
 
   // === CustomEvent interface for content script communication ===
@@ -123,6 +143,17 @@
         );
         break;
 
+      case 'downloadClip':
+        result = await downloadClip(
+          (progress) => {
+            document.dispatchEvent(new CustomEvent('tceVideoDownloadProgress', {
+              detail: progress
+            }));
+          },
+          { start: data?.start, end: data?.end }
+        );
+        break;
+
       case 'stop':
         stop();
         result = { stopped: true };
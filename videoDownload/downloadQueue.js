@@ -0,0 +1,215 @@
+/**
+ * Video Download Queue
+ * Downloads the recordings of several meetings in a recap series, one after
+ * another. Each meeting is selected through the batch transcript script's
+ * dropdown navigation (window.__batchMeetingNavigator); selecting it makes the
+ * player request its drive item, which transcriptAPIFetcher.js captures into
+ * window.__videoDriveItem. The recording is then downloaded through the
+ * direct download module, falling back to the coordinator's other methods.
+ * Communicates with the content script via CustomEvents.
+ */
+(() => {
+  const MAX_ATTEMPTS = 3;
+  const RETRY_DELAY = 3000;
+  const DRIVE_ITEM_TIMEOUT = 20000;
+  // Gives the browser time to start one download before the next meeting is selected
+  const BETWEEN_ITEMS_WAIT = 3000;
+
+  let queue = []; // [{ index, text, status, attempts, error, fileName, fileSize, method }]
+  let running = false;
+  let cancelled = false;
+  let navigated = false; // whether the queue has changed the selected meeting yet
+  const claimedItemIds = new Set();
+
+  const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+  const snapshot = () => queue.map((item) => ({ ...item }));
+
+  const dispatchProgress = (data) => {
+    document.dispatchEvent(new CustomEvent('tceVideoQueueProgress', {
+      detail: { ...data, items: snapshot() }
+    }));
+  };
+
+  /**
+   * Wait for the player to request the selected meeting's drive item. When the
+   * meeting was on screen before the queue touched the dropdown no new request
+   * is made, so the item captured earlier is accepted for it (alreadyShown).
+   */
+  const waitForDriveItem = async (since, alreadyShown) => {
+    const start = Date.now();
+    while (Date.now() - start < DRIVE_ITEM_TIMEOUT) {
+      if (cancelled) return null;
+      const item = window.__videoDriveItem || {};
+      if (item.itemId && !claimedItemIds.has(item.itemId) && (alreadyShown || item.capturedAt >= since)) {
+        return item;
+      }
+      await sleep(500);
+    }
+    return null;
+  };
+
+  /**
+   * Start a browser download without a popup: the SharePoint download URL
+   * answers with Content-Disposition: attachment, so a hidden iframe is enough
+   * and, unlike window.open, needs no user gesture.
+   */
+  const startBrowserDownload = (url) => {
+    const frame = document.createElement('iframe');
+    frame.style.display = 'none';
+    frame.src = url;
+    document.body.appendChild(frame);
+    setTimeout(() => frame.remove(), 60000);
+  };
+
+  const downloadItem = async (item) => {
+    const navigator = window.__batchMeetingNavigator;
+    if (!navigator) throw new Error('Meeting navigation not available. Reload the page.');
+
+    item.status = 'navigating';
+    dispatchProgress({ stage: 'navigating', message: `Opening ${item.text}...` });
+    const alreadyShown = !navigated && navigator.getSelectedMeetingText() === item.text;
+    const since = Date.now();
+    navigated = true;
+    await navigator.quickSelectMeeting(item.index);
+
+    const driveItem = await waitForDriveItem(since, alreadyShown);
+    if (cancelled) throw new Error('Cancelled');
+    if (!driveItem) throw new Error('No recording found for this meeting');
+
+    item.status = 'downloading';
+    dispatchProgress({ stage: 'downloading', message: `Downloading ${driveItem.fileName || item.text}...` });
+
+    const modules = window.__videoDownloadModules || {};
+    const direct = await modules.directDownload?.getDownloadUrl?.();
+    if (direct?.downloadUrl) {
+      startBrowserDownload(direct.downloadUrl);
+      claimedItemIds.add(driveItem.itemId);
+      return { method: 'directDownload', fileName: direct.fileName || driveItem.fileName, fileSize: direct.fileSize || driveItem.fileSize };
+    }
+
+    const coordinator = window.__videoDownloadCoordinator;
+    if (!coordinator) throw new Error('No download URL and the download coordinator is not loaded');
+    const result = await coordinator.download((progress) => {
+      dispatchProgress({ stage: 'downloading', message: `${item.text}: ${progress.message || progress.stage}`, percent: progress.percent });
+    });
+    if (!result.success) throw new Error(result.error || 'Download failed');
+    claimedItemIds.add(driveItem.itemId);
+    return { method: result.method, fileName: result.fileName || driveItem.fileName, fileSize: result.fileSize || driveItem.fileSize };
+  };
+
+  /**
+   * Work through every pending item, retrying each up to MAX_ATTEMPTS times.
+   */
+  const runQueue = async () => {
+    running = true;
+    cancelled = false;
+    try {
+      const pending = queue.filter((item) => item.status === 'pending');
+      for (let i = 0; i < pending.length; i++) {
+        if (cancelled) break;
+        const item = pending[i];
+
+        while (item.attempts < MAX_ATTEMPTS && !cancelled) {
+          item.attempts++;
+          item.error = null;
+          try {
+            Object.assign(item, await downloadItem(item), { status: 'done' });
+            dispatchProgress({ stage: 'item_done', message: `Downloaded ${item.fileName || item.text}` });
+            break;
+          } catch (err) {
+            item.error = err.message;
+            item.status = item.attempts < MAX_ATTEMPTS && !cancelled ? 'retrying' : 'failed';
+            dispatchProgress({
+              stage: 'item_error',
+              message: `${item.text}: ${err.message}${item.status === 'retrying' ? ` (attempt ${item.attempts}/${MAX_ATTEMPTS}, retrying)` : ''}`
+            });
+            if (item.status === 'retrying') await sleep(RETRY_DELAY * item.attempts);
+          }
+        }
+        if (cancelled && item.status !== 'done') item.status = 'pending';
+
+        if (item.status === 'done' && i < pending.length - 1) await sleep(BETWEEN_ITEMS_WAIT);
+      }
+
+      const done = queue.filter((item) => item.status === 'done').length;
+      const failed = queue.filter((item) => item.status === 'failed').length;
+      dispatchProgress({
+        stage: cancelled ? 'cancelled' : 'complete',
+        message: cancelled
+          ? `Cancelled: ${done}/${queue.length} downloaded`
+          : `Done: ${done}/${queue.length} downloaded${failed ? `, ${failed} failed` : ''}`
+      });
+      return { success: !cancelled, done, failed, items: snapshot() };
+    } finally {
+      running = false;
+    }
+  };
+
+  /**
+   * meetings is [{ index, text }] from the batch script's meeting list.
+   */
+  const start = async (meetings) => {
+    if (running) return { error: 'A video queue is already running' };
+    if (window.__batchMeetingNavigator?.isBatchRunning?.()) {
+      return { error: 'Wait for the batch transcript download to finish' };
+    }
+    if (!Array.isArray(meetings) || meetings.length === 0) return { error: 'No meetings queued' };
+
+    claimedItemIds.clear();
+    navigated = false;
+    queue = meetings.map(({ index, text }) => ({
+      index, text, status: 'pending', attempts: 0, error: null, fileName: null, fileSize: null, method: null
+    }));
+    dispatchProgress({ stage: 'queued', message: `Queued ${queue.length} recordings` });
+    return runQueue();
+  };
+
+  // Failed items get a fresh set of attempts; finished ones are kept
+  const retryFailed = async () => {
+    if (running) return { error: 'A video queue is already running' };
+    const failed = queue.filter((item) => item.status === 'failed' || item.status === 'pending');
+    if (failed.length === 0) return { error: 'Nothing to retry' };
+    failed.forEach((item) => {
+      item.status = 'pending';
+      item.attempts = 0;
+      item.error = null;
+    });
+    return runQueue();
+  };
+
+  // === CustomEvent interface for content script communication ===
+  document.addEventListener('tceVideoQueueCommand', async (e) => {
+    const { command, data } = e.detail || {};
+    let result;
+
+    switch (command) {
+      case 'start':
+        result = await start(data?.meetings);
+        break;
+
+      case 'retryFailed':
+        result = await retryFailed();
+        break;
+
+      case 'cancel':
+        cancelled = true;
+        window.__videoDownloadCoordinator?.stop?.();
+        result = { cancelled: true };
+        break;
+
+      case 'status':
+        result = { running, items: snapshot() };
+        break;
+
+      default:
+        result = { error: 'Unknown command: ' + command };
+    }
+
+    document.dispatchEvent(new CustomEvent('tceVideoQueueResponse', {
+      detail: { command, result }
+    }));
+  });
+
+  console.log('[Teams Chat Exporter] Video download queue loaded');
+})();
@@ -478,9 +478,9 @@
   };
 
   /**
-   * Build a trak box from track info.
+   * Build a trak box from track info, with an optional tref box (e.g. a chapter reference).
    */
-  const buildTrak = (trackId, info, mdatDataOffset) => {
+  const buildTrak = (trackId, info, mdatDataOffset, tref = null) => {
     const { samples, stsdData, hdlrData, tkhdData, mdhdData, handlerType, timescale } = info;
     const totalDuration = samples.reduce((sum, s) => sum + s.duration, 0);
 
@@ -555,7 +555,164 @@
       tkhd = makeFullBox('tkhd', 0, 3, p);
     }
 
-    return { trak: makeBox('trak', tkhd, mdia), totalDuration, timescale };
+    const trak = tref ? makeBox('trak', tkhd, tref, mdia) : makeBox('trak', tkhd, mdia);
+    return { trak, totalDuration, timescale };
+  };
+
+  // TextSampleEntry (3GPP timed text): bottom-centered white text, transparent background, one font
+  const buildTx3gEntry = (encoder) => {
+    const fontName = encoder.encode('Sans-Serif');
+    const ftabP = new Uint8Array(5 + fontName.length);
+    writeU16(ftabP, 0, 1); // entry count
+    writeU16(ftabP, 2, 1); // font ID
+    ftabP[4] = fontName.length;
+    ftabP.set(fontName, 5);
+    const entryP = new Uint8Array(38);
+    writeU16(entryP, 6, 1); // data reference index
+    entryP[12] = 1; // horizontal justification: center
+    entryP[13] = 0xff; // vertical justification: bottom
+    writeU16(entryP, 30, 1); // style record font ID
+    entryP[33] = 18; // font size
+    entryP[34] = 0xff; entryP[35] = 0xff; entryP[36] = 0xff; entryP[37] = 0xff; // text color
+    return makeBox('tx3g', entryP, makeBox('ftab', ftabP));
+  };
+
+  /**
+   * Build a timed text track from cues ([{ start, end, text }] in seconds); gaps
+   * between cues become empty samples. kind 'captions' is a 3GPP (tx3g) subtitle
+   * track; kind 'chapters' is a disabled QuickTime text track that a video trak
+   * points at through tref 'chap'. Returns the trak plus the sample bytes that go
+   * into mdat after the other tracks.
+   */
+  const buildTextTrak = (trackId, cues, kind = 'captions') => {
+    const isChapters = kind === 'chapters';
+    const encoder = new TextEncoder();
+    // QuickTime chapter samples carry an 'encd' atom marking the text as UTF-8
+    const encd = new Uint8Array([0, 0, 0, 12, 0x65, 0x6e, 0x63, 0x64, 0, 0, 1, 0]);
+    const samples = []; // { bytes, duration } with durations in ms (timescale 1000)
+    const emptySample = (duration) => ({ bytes: new Uint8Array(2), duration });
+    let time = 0;
+    for (const cue of cues) {
+      const start = Math.max(Math.round(cue.start * 1000), time);
+      const end = Math.round(cue.end * 1000);
+      if (end <= start) continue;
+      if (start > time) samples.push(emptySample(start - time));
+      const text = encoder.encode(cue.text).slice(0, 0xfff0);
+      const bytes = new Uint8Array(2 + text.length + (isChapters ? encd.length : 0));
+      writeU16(bytes, 0, text.length);
+      bytes.set(text, 2);
+      if (isChapters) bytes.set(encd, 2 + text.length);
+      samples.push({ bytes, duration: end - start });
+      time = end;
+    }
+    if (samples.length === 0) return null;
+
+    const totalDuration = time;
+    const sampleDataSize = samples.reduce((sum, s) => sum + s.bytes.length, 0);
+    const sampleData = new Uint8Array(sampleDataSize);
+    let p = 0;
+    for (const s of samples) { sampleData.set(s.bytes, p); p += s.bytes.length; }
+
+    let sampleEntry;
+    if (isChapters) {
+      // QuickTime text sample description: display flags, justification, background
+      // color, default text box, reserved, font number/face, reserved, foreground
+      // color and an empty text name. Players only list chapters, so all but the
+      // justification (centered) are left at zero.
+      const textEntryP = new Uint8Array(8 + 44);
+      writeU16(textEntryP, 6, 1); // data reference index
+      writeU32(textEntryP, 12, 1); // text justification: center
+      sampleEntry = makeBox('text', textEntryP);
+    } else {
+      sampleEntry = buildTx3gEntry(encoder);
+    }
+    const stsdP = new Uint8Array(4);
+    writeU32(stsdP, 0, 1);
+    const stsd = makeFullBox('stsd', 0, 0, stsdP, sampleEntry);
+
+    const sttsRuns = [];
+    for (const s of samples) {
+      const last = sttsRuns[sttsRuns.length - 1];
+      if (last && last.duration === s.duration) last.count++;
+      else sttsRuns.push({ count: 1, duration: s.duration });
+    }
+    const sttsP = new Uint8Array(4 + sttsRuns.length * 8);
+    writeU32(sttsP, 0, sttsRuns.length);
+    for (let i = 0; i < sttsRuns.length; i++) { writeU32(sttsP, 4+i*8, sttsRuns[i].count); writeU32(sttsP, 8+i*8, sttsRuns[i].duration); }
+    const stszP = new Uint8Array(8 + samples.length * 4);
+    writeU32(stszP, 4, samples.length);
+    for (let i = 0; i < samples.length; i++) writeU32(stszP, 8+i*4, samples[i].bytes.length);
+    const stscP = new Uint8Array(16);
+    writeU32(stscP, 0, 1);
+    writeU32(stscP, 4, 1);
+    writeU32(stscP, 8, samples.length);
+    writeU32(stscP, 12, 1);
+    const co64P = new Uint8Array(12);
+    writeU32(co64P, 0, 1);
+    const stbl = makeBox('stbl', stsd,
+      makeFullBox('stts', 0, 0, sttsP), makeFullBox('stsc', 0, 0, stscP),
+      makeFullBox('stsz', 0, 0, stszP), makeFullBox('co64', 0, 0, co64P));
+
+    const drefEntry = new Uint8Array(16);
+    writeU32(drefEntry, 0, 1); writeU32(drefEntry, 4, 12);
+    drefEntry[8]=0x75;drefEntry[9]=0x72;drefEntry[10]=0x6c;drefEntry[11]=0x20;drefEntry[15]=1;
+    const dinf = makeBox('dinf', makeFullBox('dref', 0, 0, drefEntry));
+
+    let mediaHeader;
+    if (isChapters) {
+      // gmhd: generic media info plus QuickTime's text media atom
+      const gminP = new Uint8Array(12);
+      writeU16(gminP, 0, 0x40); // graphics mode
+      writeU16(gminP, 2, 0x8000); writeU16(gminP, 4, 0x8000); writeU16(gminP, 6, 0x8000); // opcolor
+      const textP = new Uint8Array(36);
+      writeU16(textP, 0, 1);
+      writeU32(textP, 14, 1);
+      writeU32(textP, 30, 0x00004000);
+      mediaHeader = makeBox('gmhd', makeFullBox('gmin', 0, 0, gminP), makeBox('text', textP));
+    } else {
+      mediaHeader = makeFullBox('nmhd', 0, 0);
+    }
+    const minf = makeBox('minf', mediaHeader, dinf, stbl);
+
+    const mdhdP = new Uint8Array(20);
+    writeU32(mdhdP, 8, 1000); writeU32(mdhdP, 12, totalDuration); writeU16(mdhdP, 16, 0x55C4);
+    const handlerName = encoder.encode(isChapters ? 'ChapterHandler' : 'SubtitleHandler');
+    const hdlrP = new Uint8Array(20 + handlerName.length + 1);
+    hdlrP.set(encoder.encode(isChapters ? 'text' : 'sbtl'), 4);
+    hdlrP.set(handlerName, 20);
+    const mdia = makeBox('mdia', makeFullBox('mdhd', 0, 0, mdhdP), makeFullBox('hdlr', 0, 0, hdlrP), minf);
+
+    const tkhdP = new Uint8Array(80);
+    writeU32(tkhdP, 8, trackId);
+    writeU32(tkhdP, 16, totalDuration);
+    writeU32(tkhdP, 36, 0x00010000); // identity matrix
+    writeU32(tkhdP, 52, 0x00010000);
+    writeU32(tkhdP, 68, 0x40000000);
+    // Captions: enabled + in_movie. Chapters: in_movie only, so players list them instead of drawing them
+    const tkhd = makeFullBox('tkhd', 0, isChapters ? 2 : 3, tkhdP);
+
+    return { trak: makeBox('trak', tkhd, mdia), totalDuration, sampleData };
+  };
+
+  /**
+   * Nero-style chapter list (moov > udta > chpl), read by VLC and most non-Apple players.
+   * chapters are [{ start, title }] in seconds; at most 255 fit.
+   */
+  const buildChpl = (chapters) => {
+    const encoder = new TextEncoder();
+    const entries = chapters.slice(0, 255).map((chapter) => {
+      const title = encoder.encode(chapter.title).slice(0, 255);
+      const entry = new Uint8Array(9 + title.length);
+      const ticks = Math.round(chapter.start * 10000000); // 100ns units
+      writeU32(entry, 0, Math.floor(ticks / 0x100000000));
+      writeU32(entry, 4, ticks >>> 0);
+      entry[8] = title.length;
+      entry.set(title, 9);
+      return entry;
+    });
+    const header = new Uint8Array(5);
+    header[4] = entries.length; // after 4 reserved bytes
+    return makeBox('udta', makeFullBox('chpl', 1, 0, header, ...entries));
   };
 
   /**
@@ -565,26 +722,49 @@
    * @param {Uint8Array} audioData - Audio fMP4 data (with timestamps already fixed)
    * @param {number} audioTimescale
    * @param {number} segmentDurationMs
+   * @param {Object} [options]
+   * @param {Array<{start: number, end: number, text: string}>} [options.captions] - adds a tx3g subtitle track
+   * @param {Array<{start: number, title: string}>} [options.chapters] - adds a QuickTime chapter track and a Nero chpl list
    * @returns {Uint8Array} Combined standard MP4
    */
-  const convertAndMerge = (videoData, videoTimescale, audioData, audioTimescale, segmentDurationMs) => {
+  const convertAndMerge = (videoData, videoTimescale, audioData, audioTimescale, segmentDurationMs, { captions = null, chapters = null } = {}) => {
     const vInfo = extractTrackInfo(videoData, videoTimescale, segmentDurationMs);
     const aInfo = extractTrackInfo(audioData, audioTimescale, segmentDurationMs);
 
-    // Combine mdat from both tracks
-    const totalMdatSize = 8 + vInfo.totalMediaSize + aInfo.totalMediaSize;
-    const videoMdatOffset = 0; // placeholder, fixed after moov is built
-    const audioMdatOffset = 0;
+    const durationMs = (info) => Math.round(info.samples.reduce((sum, s) => sum + s.duration, 0) / info.timescale * 1000);
+    const movieDuration = Math.max(durationMs(vInfo), durationMs(aInfo));
 
-    // Build tracks (offsets are placeholders)
-    const vTrack = buildTrak(1, vInfo, 0);
+    // Text tracks follow video (1) and audio (2); each chapter runs until the next one
+    const textTracks = [];
+    if (captions?.length) {
+      const track = buildTextTrak(3, captions, 'captions');
+      if (track) textTracks.push(track);
+    }
+    let chapterList = (chapters || []).filter((c) => c.start * 1000 < movieDuration).sort((a, b) => a.start - b.start);
+    if (chapterList.length > 0 && chapterList[0].start > 0) chapterList = [{ start: 0, title: 'Start' }, ...chapterList];
+    let chapterTrackId = null;
+    if (chapterList.length > 0) {
+      chapterTrackId = 3 + textTracks.length;
+      const cues = chapterList.map((c, i) => ({ start: c.start, end: (chapterList[i + 1]?.start ?? movieDuration / 1000), text: c.title }));
+      const track = buildTextTrak(chapterTrackId, cues, 'chapters');
+      if (track) textTracks.push(track);
+      else chapterTrackId = null;
+    }
+    const textSize = textTracks.reduce((sum, t) => sum + t.sampleData.length, 0);
+
+    // Build tracks (offsets are placeholders); the video track references the chapter track
+    const chapTref = chapterTrackId ? makeBox('tref', makeBox('chap', (() => {
+      const id = new Uint8Array(4);
+      writeU32(id, 0, chapterTrackId);
+      return id;
+    })())) : null;
+    const vTrack = buildTrak(1, vInfo, 0, chapTref);
     const aTrack = buildTrak(2, aInfo, 0);
 
+    // Combine mdat from both tracks (plus captions and chapters, if any)
+    const totalMdatSize = 8 + vInfo.totalMediaSize + aInfo.totalMediaSize + textSize;
+
     // Build mvhd
-    const movieDuration = Math.max(
-      Math.round(vTrack.totalDuration / vTrack.timescale * 1000),
-      Math.round(aTrack.totalDuration / aTrack.timescale * 1000)
-    );
     const mvhdP = new Uint8Array(96);
     writeU32(mvhdP, 8, 1000);
     writeU32(mvhdP, 12, movieDuration);
@@ -593,10 +773,13 @@
     writeU32(mvhdP, 32, 0x00010000);
     writeU32(mvhdP, 48, 0x00010000);
     writeU32(mvhdP, 64, 0x40000000);
-    writeU32(mvhdP, 92, 3);
+    writeU32(mvhdP, 92, 3 + textTracks.length);
     const mvhd = makeFullBox('mvhd', 0, 0, mvhdP);
 
-    const moov = makeBox('moov', mvhd, vTrack.trak, aTrack.trak);
+    // udta goes last so chapter titles are never scanned as co64 boxes below
+    const moovParts = [mvhd, vTrack.trak, aTrack.trak, ...textTracks.map((t) => t.trak)];
+    if (chapterTrackId) moovParts.push(buildChpl(chapterList));
+    const moov = makeBox('moov', ...moovParts);
 
     // Calculate mdat offsets
     const ftypData = vInfo.ftypData;
@@ -604,12 +787,17 @@
     const mdatStart = ftypData.length + moov.length + mdatHeaderSize;
     const audioDataStart = mdatStart + vInfo.totalMediaSize;
 
-    // Fix co64 offsets in moov — find both co64 boxes
+    // Fix co64 offsets in moov — one co64 box per track, in track order
+    const trackOffsets = [mdatStart, audioDataStart];
+    let textDataStart = audioDataStart + aInfo.totalMediaSize;
+    for (const t of textTracks) {
+      trackOffsets.push(textDataStart);
+      textDataStart += t.sampleData.length;
+    }
     let co64Count = 0;
-    for (let i = 0; i < moov.length - 16; i++) {
+    for (let i = 0; i < moov.length - 16 && co64Count < trackOffsets.length; i++) {
       if (moov[i+4]===0x63 && moov[i+5]===0x6f && moov[i+6]===0x36 && moov[i+7]===0x34) {
-        co64Count++;
-        const offset = co64Count === 1 ? mdatStart : audioDataStart;
+        const offset = trackOffsets[co64Count++];
         writeU32(moov, i + 16, 0);
         writeU32(moov, i + 20, offset);
       }
@@ -628,12 +816,68 @@
     output.set(mdatHeader, p); p += 8;
     for (const c of vInfo.mdatChunks) { output.set(c, p); p += c.length; }
     for (const c of aInfo.mdatChunks) { output.set(c, p); p += c.length; }
+    for (const t of textTracks) { output.set(t.sampleData, p); p += t.sampleData.length; }
+
+    return output;
+  };
+
+  /**
+   * Convert a single audio fMP4 track to a standard M4A (ftyp + moov + mdat).
+   * The init segment's DASH brands are replaced so players treat it as a plain M4A.
+   * @param {Uint8Array} audioData - Audio fMP4 data (with timestamps already fixed)
+   * @param {number} audioTimescale
+   * @param {number} segmentDurationMs
+   * @returns {Uint8Array} Standard M4A
+   */
+  const convertAudio = (audioData, audioTimescale, segmentDurationMs) => {
+    const info = extractTrackInfo(audioData, audioTimescale, segmentDurationMs);
+    if (info.samples.length === 0) throw new Error('No samples found');
+    if (info.handlerType !== 'soun') throw new Error('Not an audio track: ' + info.handlerType);
+
+    const track = buildTrak(1, info, 0);
+    const movieDuration = Math.round(track.totalDuration / track.timescale * 1000);
+    const mvhdP = new Uint8Array(96);
+    writeU32(mvhdP, 8, 1000);
+    writeU32(mvhdP, 12, movieDuration);
+    writeU32(mvhdP, 16, 0x00010000);
+    writeU16(mvhdP, 20, 0x0100);
+    writeU32(mvhdP, 32, 0x00010000);
+    writeU32(mvhdP, 48, 0x00010000);
+    writeU32(mvhdP, 64, 0x40000000);
+    writeU32(mvhdP, 92, 2);
+    const mvhd = makeFullBox('mvhd', 0, 0, mvhdP);
+    const moov = makeBox('moov', mvhd, track.trak);
+
+    // major brand 'M4A ', minor version 0, compatible 'M4A ', 'mp42', 'isom'
+    const ftypP = new Uint8Array(20);
+    'M4A \0\0\0\0M4A mp42isom'.split('').forEach((c, i) => { ftypP[i] = c.charCodeAt(0); });
+    const ftypData = makeBox('ftyp', ftypP);
+
+    const mdatStart = ftypData.length + moov.length + 8;
+    for (let i = 0; i < moov.length - 16; i++) {
+      if (moov[i+4]===0x63 && moov[i+5]===0x6f && moov[i+6]===0x36 && moov[i+7]===0x34) {
+        writeU32(moov, i + 16, 0);
+        writeU32(moov, i + 20, mdatStart);
+        break;
+      }
+    }
+
+    const mdatHeader = new Uint8Array(8);
+    writeU32(mdatHeader, 0, 8 + info.totalMediaSize);
+    mdatHeader[4]=0x6d;mdatHeader[5]=0x64;mdatHeader[6]=0x61;mdatHeader[7]=0x74;
+
+    const output = new Uint8Array(ftypData.length + moov.length + 8 + info.totalMediaSize);
+    let p = 0;
+    output.set(ftypData, p); p += ftypData.length;
+    output.set(moov, p); p += moov.length;
+    output.set(mdatHeader, p); p += 8;
+    for (const c of info.mdatChunks) { output.set(c, p); p += c.length; }
 
     return output;
   };
 
   // Expose
-  window.__fmp4ToMp4 = { convert, convertAndMerge };
+  window.__fmp4ToMp4 = { convert, convertAndMerge, convertAudio };
 
   console.log('[Teams Chat Exporter] fMP4 to MP4 converter loaded');
 })();
@@ -183,7 +183,10 @@
 
   // === Parallel Download Engine ===
 
-  const downloadAllSegments = async (template, count, key, algo, onProgress, label) => {
+  /**
+   * Fetch + decrypt count segments starting at segment index firstIndex (0 = start of the recording).
+   */
+  const downloadAllSegments = async (template, count, key, algo, onProgress, label, firstIndex = 0) => {
     const results = new Array(count);
     let completed = 0, failed = 0;
     const queue = Array.from({ length: count }, (_, i) => i);
@@ -192,7 +195,7 @@
       while (queue.length > 0) {
         const i = queue.shift();
         if (i === undefined) break;
-        const segTime = i * (ACTUAL_SEGMENT_DURATION_MS || SEGMENT_FETCH_INTERVAL_MS);
+        const segTime = (firstIndex + i) * (ACTUAL_SEGMENT_DURATION_MS || SEGMENT_FETCH_INTERVAL_MS);
         const url = template.replace('{TIME}', segTime).replace('%7BTIME%7D', segTime);
         try {
           results[i] = await fetchAndDecryptRetry(url, key, algo);
@@ -299,12 +302,80 @@
     return { data: bytes, fixed, finalTime: currentTime };
   };
 
+  // === Captions and Chapters ===
+
+  // Mirrored from the popup setting by the content script
+  const captionsEnabled = () => document.getElementById('tce-video-options')?.getAttribute('data-embed-captions') === '1';
+
+  /**
+   * Transcript cues (from transcriptFetchOverride.js) covering from..to seconds,
+   * shifted so from is 0:00. Null when the setting is off or no transcript was
+   * captured for this video.
+   */
+  const getCaptions = (from = 0, to = Infinity) => {
+    if (!captionsEnabled()) return null;
+    const cues = window.__teamsTranscriptUtils?.getCaptionCues?.();
+    if (!cues?.length) {
+      console.warn('[manifestDownload] Captions enabled but no transcript captured for this video. Open the Transcript panel first.');
+      return null;
+    }
+    return cues
+      .filter((cue) => cue.end > from && cue.start < to)
+      .map((cue) => ({ start: Math.max(cue.start - from, 0), end: Math.min(cue.end, to) - from, text: cue.text }));
+  };
+
+  /**
+   * Chapters set in the video download panel ([{ start, title }]) that fall inside
+   * from..to seconds, shifted so from is 0:00. The chapter already running at from
+   * starts the list at 0:00 under its own title. Null when none were set for this video.
+   */
+  const getChapters = (from = 0, to = Infinity) => {
+    const optionsDiv = document.getElementById('tce-video-options');
+    const chaptersVideo = optionsDiv?.getAttribute('data-chapters-video') || '';
+    const videoSrc = document.querySelector('video')?.currentSrc || '';
+    if (chaptersVideo && videoSrc && chaptersVideo !== videoSrc) return null;
+    let chapters;
+    try {
+      chapters = JSON.parse(optionsDiv?.getAttribute('data-chapters') || '[]');
+    } catch (e) {
+      return null;
+    }
+    const sorted = chapters.slice().sort((a, b) => a.start - b.start);
+    const active = sorted.filter((chapter) => chapter.start <= from).pop();
+    const inRange = sorted
+      .filter((chapter) => chapter.start > from && chapter.start < to)
+      .map((chapter) => ({ start: chapter.start - from, title: chapter.title }));
+    if (active) inRange.unshift({ start: 0, title: active.title });
+    return inRange.length > 0 ? inRange : null;
+  };
+
   // === isAvailable ===
 
   const isAvailable = () => {
     return !!(findSegmentTemplates() && hasCryptoKey());
   };
 
+  /**
+   * Detect the real segment content duration from the first video segment.
+   * Audio segments share the video's segmentTime grid, so this is used for both.
+   */
+  const detectSegmentInterval = async (templates, cryptoData) => {
+    let segIntervalMs = SEGMENT_FETCH_INTERVAL_MS; // default: 2000ms
+    try {
+      const testUrl = templates.videoTemplate.replace('{TIME}', '0').replace('%7BTIME%7D', '0');
+      const testDec = await fetchAndDecrypt(testUrl, cryptoData.key, cryptoData.algo);
+      const initTimescale = findTimescale(getInitSegments()?.videoInit ? new Uint8Array(getInitSegments().videoInit) : new Uint8Array(0));
+      const detectedMs = detectSegmentDuration(testDec, initTimescale || 16000);
+      if (detectedMs > 0) {
+        segIntervalMs = detectedMs;
+        console.log(`[manifestDownload] Detected segment duration: ${detectedMs}ms (fetching every ${detectedMs}ms instead of ${SEGMENT_FETCH_INTERVAL_MS}ms)`);
+      }
+    } catch (e) {
+      console.warn('[manifestDownload] Could not detect segment duration, using default', e);
+    }
+    return segIntervalMs;
+  };
+
   // === Main Download ===
 
   const download = async (onProgress) => {
@@ -326,19 +397,7 @@
 
     // Step 0: Detect real segment content duration from first segment
     if (onProgress) onProgress({ stage: 'detect', message: 'Detecting segment duration...', percent: 0 });
-    let segIntervalMs = SEGMENT_FETCH_INTERVAL_MS; // default: 2000ms
-    try {
-      const testUrl = templates.videoTemplate.replace('{TIME}', '0').replace('%7BTIME%7D', '0');
-      const testDec = await fetchAndDecrypt(testUrl, cryptoData.key, cryptoData.algo);
-      const initTimescale = findTimescale(getInitSegments()?.videoInit ? new Uint8Array(getInitSegments().videoInit) : new Uint8Array(0));
-      const detectedMs = detectSegmentDuration(testDec, initTimescale || 16000);
-      if (detectedMs > 0) {
-        segIntervalMs = detectedMs;
-        console.log(`[manifestDownload] Detected segment duration: ${detectedMs}ms (fetching every ${detectedMs}ms instead of ${SEGMENT_FETCH_INTERVAL_MS}ms)`);
-      }
-    } catch (e) {
-      console.warn('[manifestDownload] Could not detect segment duration, using default', e);
-    }
+    const segIntervalMs = await detectSegmentInterval(templates, cryptoData);
 
     ACTUAL_SEGMENT_DURATION_MS = segIntervalMs;
     const totalSegs = Math.ceil(duration * 1000 / segIntervalMs);
@@ -390,6 +449,8 @@
     let vBlob, aBlob;
 
     let combinedBlob = null;
+    const captions = getCaptions();
+    const chapters = getChapters();
     if (window.__fmp4ToMp4?.convertAndMerge) {
       try {
         const timescale = findTimescale(fixedVideo.data);
@@ -398,7 +459,8 @@
         const combined = window.__fmp4ToMp4.convertAndMerge(
           fixedVideo.data, timescale,
           fixedAudio.data, audioTimescale,
-          ACTUAL_SEGMENT_DURATION_MS
+          ACTUAL_SEGMENT_DURATION_MS,
+          { captions, chapters }
         );
         combinedBlob = new Blob([combined], { type: 'video/mp4' });
         console.log('[manifestDownload] Combined MP4: ' + Math.round(combinedBlob.size/1024/1024) + 'MB');
@@ -440,7 +502,7 @@
 
     if (combinedBlob) {
       const cMB = Math.round(combinedBlob.size / 1024 / 1024);
-      panel.innerHTML = `<div style="font-size:15px;font-weight:bold;">Done in ${elapsed}s! Video + Audio combined.</div>` +
+      panel.innerHTML = `<div style="font-size:15px;font-weight:bold;">Done in ${elapsed}s! Video + Audio${captions?.length ? ` + ${captions.length} captions` : ''}${chapters ? ` + ${chapters.length} chapters` : ''} combined.</div>` +
         `<div style="margin-top:10px;display:flex;gap:8px;justify-content:center;"></div>`;
       const btnRow = panel.lastElementChild;
       btnRow.appendChild(makeSaveBtn(`Save Combined MP4 (${cMB}MB)`, combinedBlob, cName, '#28a745'));
@@ -470,11 +532,207 @@
       videoSize: vBlob.size,
       audioSize: aBlob.size,
       segments: totalSegs,
+      captionCount: combinedBlob ? captions?.length || 0 : 0,
+      chapterCount: combinedBlob ? chapters?.length || 0 : 0,
       elapsed,
       fixed: fixedVideo.fixed
     };
   };
 
+  // === Audio Only Download ===
+
+  /**
+   * Fetch and decrypt only the audio track, fix its timestamps and convert it to
+   * a standard (non-fragmented) M4A. Much faster and smaller than the full video.
+   */
+  const downloadAudio = async (onProgress) => {
+    const templates = findSegmentTemplates();
+    if (!templates) {
+      return { success: false, error: 'No segment URLs found. Play the video for a few seconds first.' };
+    }
+
+    const cryptoData = getCrypto();
+    if (!cryptoData.ready) {
+      return { success: false, error: 'No decryption key captured. Play the video for a few seconds first.' };
+    }
+
+    const video = document.querySelector('video');
+    const duration = video?.duration || 0;
+    if (!duration) return { success: false, error: 'Cannot determine video duration.' };
+
+    const startTime = Date.now();
+
+    // Step 1: Capture the audio init segment
+    if (onProgress) onProgress({ stage: 'init', message: 'Capturing init segments...', percent: 0 });
+    let initSegs = getInitSegments();
+    if (!initSegs?.audioInit) {
+      initSegs = await captureInitSegments();
+      if (!initSegs?.audioInit) {
+        return { success: false, error: 'Failed to capture the audio init segment. Try seeking in the video first.' };
+      }
+    }
+
+    // Step 2: Detect segment duration (from the video grid the audio shares)
+    if (onProgress) onProgress({ stage: 'detect', message: 'Detecting segment duration...', percent: 2 });
+    ACTUAL_SEGMENT_DURATION_MS = await detectSegmentInterval(templates, cryptoData);
+    const totalSegs = Math.ceil(duration * 1000 / ACTUAL_SEGMENT_DURATION_MS);
+
+    // Step 3: Download + decrypt audio segments only
+    if (onProgress) onProgress({ stage: 'audio', message: `Downloading ${totalSegs} audio segments...`, percent: 5 });
+    const audioSegs = await downloadAllSegments(
+      templates.audioTemplate, totalSegs, cryptoData.key, cryptoData.algo,
+      (p) => { if (onProgress) onProgress({ stage: 'audio', message: `Audio: ${p.completed}/${p.total}`, percent: 5 + Math.round(p.completed / p.total * 85) }); },
+      'Audio'
+    );
+    const validAudioSegs = audioSegs.filter(Boolean);
+    const missing = totalSegs - validAudioSegs.length;
+    if (validAudioSegs.length === 0) return { success: false, error: 'No audio segments could be downloaded.' };
+    if (missing > 0) console.warn(`[manifestDownload] ${missing} of ${totalSegs} audio segments failed; the audio will be shorter`);
+
+    // Step 4: Fix timestamps and convert to a standard M4A
+    if (onProgress) onProgress({ stage: 'converting', message: 'Converting to M4A...', percent: 92 });
+    const fixedAudio = fixTimestamps(concatBuffers([initSegs.audioInit, ...validAudioSegs]), ACTUAL_SEGMENT_DURATION_MS);
+
+    let audioData = fixedAudio.data;
+    let fragmented = true;
+    if (window.__fmp4ToMp4?.convertAudio) {
+      try {
+        audioData = window.__fmp4ToMp4.convertAudio(fixedAudio.data, findTimescale(fixedAudio.data), ACTUAL_SEGMENT_DURATION_MS);
+        fragmented = false;
+      } catch (e) {
+        console.warn('[manifestDownload] M4A conversion failed, saving fragmented audio:', e.message);
+      }
+    }
+
+    const blob = new Blob([audioData], { type: 'audio/mp4' });
+    const fileName = getFileName() + '.m4a';
+    triggerDownload(blob, fileName);
+
+    const elapsed = Math.round((Date.now() - startTime) / 1000);
+    if (onProgress) onProgress({ stage: 'done', message: `Saved ${fileName} (${Math.round(blob.size / 1024 / 1024)}MB) in ${elapsed}s`, percent: 100 });
+
+    return {
+      success: true,
+      method: 'audioOnly',
+      fileName,
+      fileSize: blob.size,
+      segments: totalSegs,
+      missingSegments: missing,
+      fragmented,
+      elapsed
+    };
+  };
+
+  // === Clip Download ===
+
+  /**
+   * Download only the segments covering start..end (seconds) and combine them into
+   * one MP4 starting at zero. The range snaps outward to segment boundaries, since
+   * every segment starts on a keyframe and cutting inside one would need re-encoding.
+   */
+  const downloadClip = async (onProgress, { start = 0, end } = {}) => {
+    const templates = findSegmentTemplates();
+    if (!templates) {
+      return { success: false, error: 'No segment URLs found. Play the video for a few seconds first.' };
+    }
+
+    const cryptoData = getCrypto();
+    if (!cryptoData.ready) {
+      return { success: false, error: 'No decryption key captured. Play the video for a few seconds first.' };
+    }
+
+    const video = document.querySelector('video');
+    const duration = video?.duration || 0;
+    if (!duration) return { success: false, error: 'Cannot determine video duration.' };
+
+    const clipEnd = Math.min(end ?? duration, duration);
+    if (!(start >= 0) || !(clipEnd > start)) {
+      return { success: false, error: 'The out point must come after the in point.' };
+    }
+    if (!window.__fmp4ToMp4?.convertAndMerge) {
+      return { success: false, error: 'MP4 converter not loaded. Reload the page.' };
+    }
+
+    const startTime = Date.now();
+
+    if (onProgress) onProgress({ stage: 'init', message: 'Capturing init segments...', percent: 0 });
+    let initSegs = getInitSegments();
+    if (!initSegs?.videoInit || !initSegs?.audioInit) {
+      initSegs = await captureInitSegments();
+      if (!initSegs?.videoInit || !initSegs?.audioInit) {
+        return { success: false, error: 'Failed to capture init segments. Try seeking in the video first.' };
+      }
+    }
+
+    if (onProgress) onProgress({ stage: 'detect', message: 'Detecting segment duration...', percent: 2 });
+    ACTUAL_SEGMENT_DURATION_MS = await detectSegmentInterval(templates, cryptoData);
+    const firstSeg = Math.floor(start * 1000 / ACTUAL_SEGMENT_DURATION_MS);
+    const endSeg = Math.min(Math.ceil(clipEnd * 1000 / ACTUAL_SEGMENT_DURATION_MS), Math.ceil(duration * 1000 / ACTUAL_SEGMENT_DURATION_MS));
+    const count = Math.max(endSeg - firstSeg, 1);
+
+    if (onProgress) onProgress({ stage: 'video', message: `Downloading ${count} video segments...`, percent: 5 });
+    const videoSegs = await downloadAllSegments(
+      templates.videoTemplate, count, cryptoData.key, cryptoData.algo,
+      (p) => { if (onProgress) onProgress({ stage: 'video', message: `Video: ${p.completed}/${p.total}`, percent: 5 + Math.round(p.completed / p.total * 60) }); },
+      'Video', firstSeg
+    );
+
+    if (onProgress) onProgress({ stage: 'audio', message: `Downloading ${count} audio segments...`, percent: 65 });
+    const audioSegs = await downloadAllSegments(
+      templates.audioTemplate, count, cryptoData.key, cryptoData.algo,
+      (p) => { if (onProgress) onProgress({ stage: 'audio', message: `Audio: ${p.completed}/${p.total}`, percent: 65 + Math.round(p.completed / p.total * 25) }); },
+      'Audio', firstSeg
+    );
+
+    const validVideoSegs = videoSegs.filter(Boolean);
+    const validAudioSegs = audioSegs.filter(Boolean);
+    if (validVideoSegs.length === 0 || validAudioSegs.length === 0) {
+      return { success: false, error: 'No segments could be downloaded for this range.' };
+    }
+
+    const clipStart = firstSeg * ACTUAL_SEGMENT_DURATION_MS / 1000;
+    const clipStop = Math.min((firstSeg + count) * ACTUAL_SEGMENT_DURATION_MS / 1000, duration);
+
+    // fixTimestamps numbers the segments from zero, which rebases the clip to start at 0:00
+    if (onProgress) onProgress({ stage: 'converting', message: 'Combining clip into a single MP4...', percent: 92 });
+    const fixedVideo = fixTimestamps(concatBuffers([initSegs.videoInit, ...validVideoSegs]), ACTUAL_SEGMENT_DURATION_MS);
+    const fixedAudio = fixTimestamps(concatBuffers([initSegs.audioInit, ...validAudioSegs]), ACTUAL_SEGMENT_DURATION_MS);
+    const captions = getCaptions(clipStart, clipStop);
+    const chapters = getChapters(clipStart, clipStop);
+    const combined = window.__fmp4ToMp4.convertAndMerge(
+      fixedVideo.data, findTimescale(fixedVideo.data),
+      fixedAudio.data, findTimescale(fixedAudio.data),
+      ACTUAL_SEGMENT_DURATION_MS,
+      { captions, chapters }
+    );
+    const stamp = (seconds) => {
+      const total = Math.floor(seconds);
+      const h = Math.floor(total / 3600);
+      const m = String(Math.floor((total % 3600) / 60)).padStart(h ? 2 : 1, '0');
+      return `${h ? h + '.' : ''}${m}.${String(total % 60).padStart(2, '0')}`;
+    };
+    const blob = new Blob([combined], { type: 'video/mp4' });
+    const fileName = `${getFileName()} ${stamp(clipStart)}-${stamp(clipStop)}.mp4`;
+    triggerDownload(blob, fileName);
+
+    const elapsed = Math.round((Date.now() - startTime) / 1000);
+    if (onProgress) onProgress({ stage: 'done', message: `Saved ${fileName} (${Math.round(blob.size / 1024 / 1024)}MB) in ${elapsed}s`, percent: 100 });
+
+    return {
+      success: true,
+      method: 'manifestClip',
+      fileName,
+      fileSize: blob.size,
+      clipStart,
+      clipEnd: clipStop,
+      segments: count,
+      captionCount: captions?.length || 0,
+      chapterCount: chapters?.length || 0,
+      missingSegments: (count - validVideoSegs.length) + (count - validAudioSegs.length),
+      elapsed
+    };
+  };
+
   // === Helpers ===
 
   const concatBuffers = (buffers) => {
@@ -516,6 +774,7 @@
     description: 'Parallel fetch + decrypt (play video briefly first to capture key)',
     isAvailable,
     download,
+    downloadClip,
     // Expose for debugging
     hasCryptoKey,
     findSegmentTemplates,
@@ -523,5 +782,14 @@
     fixTimestamps
   };
 
-  console.log('[Teams Chat Exporter] Video download module loaded: manifestDownload');
+  // Audio only reuses the fetch + decrypt pipeline above, so it is registered from here
+  window.__videoDownloadModules.audioOnlyDownload = {
+    name: 'audioOnlyDownload',
+    label: 'Audio Only (M4A)',
+    description: 'Fetch + decrypt just the audio track as M4A (play video briefly first)',
+    isAvailable,
+    download: downloadAudio
+  };
+
+  console.log('[Teams Chat Exporter] Video download modules loaded: manifestDownload, audioOnlyDownload');
 })();